@@ -4,6 +4,8 @@ import { fileURLToPath } from 'url';
 import fs from 'fs';
 import os from 'os';
 import http from 'http';
+import crypto from 'crypto';
+import readline from 'readline';
 import {
     Client,
     GatewayIntentBits,
@@ -12,11 +14,15 @@ import {
     ActionRowBuilder,
     ButtonBuilder,
     ButtonStyle,
-    ChannelType
+    ChannelType,
+    StringSelectMenuBuilder,
+    AttachmentBuilder,
+    embedLength
 } from 'discord.js';
 import { createOpencodeClient } from '@opencode-ai/sdk/client';
 import OpenAI from 'openai';
 import sharp from 'sharp';
+import { createStateStore } from './state-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,12 +31,26 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, '.env'), override: true });
 
 // OpenCode client - connects to running server
+const DEFAULT_OPENCODE_URL = `http://${process.env.OPENCODE_HOST || '127.0.0.1'}:${process.env.OPENCODE_PORT || 4096}`;
 const opencode = createOpencodeClient({
-    baseUrl: `http://${process.env.OPENCODE_HOST || '127.0.0.1'}:${process.env.OPENCODE_PORT || 4096}`,
+    baseUrl: DEFAULT_OPENCODE_URL,
     timeout: 600000 // 10 minutes timeout for long operations
 });
 
-console.log(`OpenCode client connecting to http://${process.env.OPENCODE_HOST || '127.0.0.1'}:${process.env.OPENCODE_PORT || 4096}`);
+console.log(`OpenCode client connecting to ${DEFAULT_OPENCODE_URL}`);
+
+// Clients for every OpenCode backend in use (guilds can point at their own), keyed by base URL
+const opencodeClients = new Map([[DEFAULT_OPENCODE_URL, opencode]]);
+
+function getOpencodeClient(baseUrl = DEFAULT_OPENCODE_URL) {
+    let backend = opencodeClients.get(baseUrl);
+    if (!backend) {
+        backend = createOpencodeClient({ baseUrl, timeout: 600000 });
+        opencodeClients.set(baseUrl, backend);
+        console.log(`OpenCode client connecting to ${baseUrl}`);
+    }
+    return backend;
+}
 
 // OpenAI client for Whisper voice transcription
 const openai = new OpenAI({
@@ -54,19 +74,55 @@ const client = new Client({
     ],
 });
 
+// ============================================
+// Persistent State Store
+// ============================================
+// Bot state is written through to disk (see state-store.js) so restarts keep
+// sessions, model choices and sync-thread links. Pick a driver with STATE_DRIVER
+// (default: json).
+const stateStore = createStateStore(process.env.STATE_DRIVER || 'json');
+// Usage totals grow with every prompt - keep them out of the main state file
+const usageStore = createStateStore(process.env.STATE_DRIVER || 'json', { fileEnv: 'USAGE_FILE', defaultFile: 'usage.json' });
+
+// Write pending changes before the process goes away
+process.on('exit', () => {
+    stateStore.flush();
+    usageStore.flush();
+});
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => process.exit(0));
+}
+
 // Store active sessions (userId -> sessionId mapping)
-const userSessions = new Map();
+const userSessions = stateStore.map('userSessions');
 
 // Store user model preferences (userId -> modelId mapping)
-const userModels = new Map();
+const userModels = stateStore.map('userModels');
+
+// Store user agent preferences (userId -> agent name)
+const userAgents = stateStore.map('userAgents');
+
+// Per-thread agent overrides for sync threads (threadId -> agent name)
+const threadAgents = stateStore.map('threadAgents');
+
+// Track which Discord user created each session (sessionId -> userId mapping)
+const sessionOwners = stateStore.map('sessionOwners');
+
+// OpenCode backend each session lives on (sessionId -> base URL; missing = default backend)
+const sessionBackends = stateStore.map('sessionBackends');
+
+// Store per-user preferences (userId -> { delivery, ... })
+const userPreferences = stateStore.map('userPreferences');
+
+// Defaults for settings a user hasn't changed
+const DEFAULT_PREFERENCES = {
+    delivery: 'last', // last | full | paged | file
+    tools: 'summary'  // off | summary | full
+};
 
 // Track threads where the bot should auto-respond (threads created on bot messages)
 // Set of thread IDs
-const subscribedThreads = new Set();
-
-// Store models temporarily for button lookups (indexed by interaction message)
-// Key: interactionId or messageId, Value: Map of buttonIndex -> model
-let modelButtonMaps = new Map();
+const subscribedThreads = stateStore.set('subscribedThreads');
 
 // Track bot start time to ignore old messages
 const botStartTime = Date.now();
@@ -75,61 +131,110 @@ const botStartTime = Date.now();
 // OpenCode Sync - Session/Thread Mappings
 // ============================================
 // Maps OpenCode sessionId -> Discord threadId
-const sessionToThread = new Map();
+const sessionToThread = stateStore.map('sessionToThread');
 // Maps Discord threadId -> OpenCode sessionId  
-const threadToSession = new Map();
-// Sync channel reference (will be populated on ready)
-let syncChannel = null;
-const SYNC_CHANNEL_NAME = process.env.DISCORD_SYNC_CHANNEL || 'opencode-sync';
-// Track last posted content to avoid duplicates (sessionId -> { userContent, assistantContent })
-const lastPostedContent = new Map();
+const threadToSession = stateStore.map('threadToSession');
+// Sync channel per guild (guildId -> channel, populated on ready)
+const syncChannels = new Map();
+// Last message mirrored to each sync thread (sessionId -> { id, created })
+const lastSyncedMessages = stateStore.map('lastSyncedMessages');
+// User messages of prompts sent from sync threads - the thread already shows them and their replies
+// (dropped once the sync marker passes them)
+const threadPromptMessages = stateStore.set('threadPromptMessages');
 // Track sessions initiated from Discord (these should NOT be synced back to Discord)
-const discordInitiatedSessions = new Set();
+const discordInitiatedSessions = stateStore.set('discordInitiatedSessions');
 
-// Parse allowed users whitelist from environment
-const allowedUsers = process.env.DISCORD_ALLOWED_USERS
-    ? process.env.DISCORD_ALLOWED_USERS.split(',').map(id => id.trim()).filter(id => id && id !== '0')
-    : [];
+console.log(`State store: ${stateStore.driver} - restored ${userSessions.size} session(s), ${sessionToThread.size} sync thread(s)`);
 
-if (allowedUsers.length > 0) {
-    console.log(`User whitelist enabled: ${allowedUsers.length} user(s) allowed`);
-} else {
-    console.log('No users in whitelist - first user to message will become admin');
-}
+// ============================================
+// Capabilities
+// ============================================
+// What a member may do is the union of the capabilities granted to their roles,
+// their user ID and (if whitelisted) the allow-list. Configured in PERMISSIONS_FILE
+// (see permissions.example.json); without it the admin role gets everything and
+// the edit role and whitelisted users everything except admin commands. A guild's
+// own roles setting (/config role) replaces the file's roles for that guild.
+const CAPABILITIES = {
+    chat: 'Chat with the AI',
+    images: 'Attach images',
+    voice: 'Send voice messages',
+    model: 'Change model and agent',
+    sync: 'Reply in sync threads',
+    admin: 'Use admin commands',
+    approve: 'Approve tool permissions'
+};
+const EDITOR_CAPABILITIES = Object.keys(CAPABILITIES).filter(c => c !== 'admin');
 
-// Add user to .env file and exit (for first-time setup)
-function addUserToEnvAndExit(userId) {
-    const envPath = path.join(__dirname, '.env');
-    let envContent = '';
+function loadPermissionsConfig() {
+    const filePath = path.resolve(__dirname, process.env.PERMISSIONS_FILE || 'permissions.json');
+    const defaults = {
+        roles: {
+            [process.env.DISCORD_ADMIN_ROLE || 'admin']: ['*'],
+            [process.env.DISCORD_EDIT_ROLE || 'edit']: EDITOR_CAPABILITIES
+        },
+        users: {},
+        allowList: EDITOR_CAPABILITIES
+    };
+    if (!fs.existsSync(filePath)) return defaults;
     
-    // Read existing .env if it exists
-    if (fs.existsSync(envPath)) {
-        envContent = fs.readFileSync(envPath, 'utf8');
+    try {
+        const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        console.log(`Loaded permissions from ${filePath}`);
+        return { roles: {}, users: {}, allowList: [], ...config };
+    } catch (error) {
+        console.error(`Failed to load permissions from ${filePath}, using defaults:`, error.message);
+        return defaults;
     }
-    
-    // Check if DISCORD_ALLOWED_USERS already exists (not commented out)
-    const envVarRegex = /^DISCORD_ALLOWED_USERS=.*$/m;
-    if (envVarRegex.test(envContent)) {
-        // Replace the existing line
-        envContent = envContent.replace(
-            envVarRegex,
-            `DISCORD_ALLOWED_USERS=${userId}`
-        );
-    } else {
-        // Append to the file
-        envContent += `\n# User whitelist - only these user IDs can use the bot\nDISCORD_ALLOWED_USERS=${userId}\n`;
+}
+
+const permissionsConfig = loadPermissionsConfig();
+
+// Effective capabilities of a member in a guild: { capabilities: Set, sources: { capability: [label] } }
+async function getUserCapabilities(userId, guildId = getUserGuildId(userId)) {
+    const grants = [];
+    const roles = await getMemberRoles(userId, guildId);
+    for (const [key, list] of Object.entries(getGuildConfig(guildId).roles)) {
+        const role = roles.find(r => r.id === key || r.name.toLowerCase() === key.toLowerCase());
+        if (role) grants.push([`@${role.name}`, list]);
+    }
+    if (isFirstUserAdmin(guildId, userId)) {
+        grants.push(['first-user admin', ['*']]);
+    }
+    if (isAllowedUser(guildId, userId)) {
+        grants.push(['allow-list', permissionsConfig.allowList]);
+    }
+    if (permissionsConfig.users[userId]) {
+        grants.push(['user', permissionsConfig.users[userId]]);
     }
     
-    fs.writeFileSync(envPath, envContent);
-    console.log(`Added user ${userId} to .env as admin. Exiting for restart...`);
-    process.exit(0);
+    const capabilities = new Set();
+    const sources = {};
+    for (const [label, list] of grants) {
+        const granted = list.includes('*') ? Object.keys(CAPABILITIES) : list.filter(c => c in CAPABILITIES);
+        for (const capability of granted) {
+            capabilities.add(capability);
+            (sources[capability] ||= []).push(label);
+        }
+    }
+    return { capabilities, sources };
+}
+
+// Rejection shown when a member lacks a capability
+function formatMissingCapability(capability) {
+    return `You don't have the **${CAPABILITIES[capability]}** permission. Ask an admin if you need it.`;
 }
 
-// Get the configured guild
-async function getGuild() {
-    const guildId = process.env.DISCORD_GUILD_ID;
+// Reply with a rejection unless the user has the capability. Returns true if they do.
+async function requireCapability(interaction, auth, capability) {
+    if (auth.capabilities.has(capability)) return true;
+    await interaction.reply({ content: formatMissingCapability(capability), ephemeral: true });
+    return false;
+}
+
+// Get a configured guild (default: the primary guild)
+async function getGuild(guildId = getPrimaryGuildId()) {
     if (!guildId) {
-        console.error('DISCORD_GUILD_ID is not set');
+        console.error('No guild configured - set DISCORD_GUILD_ID or add one to the guild config');
         return null;
     }
     
@@ -141,82 +246,419 @@ async function getGuild() {
     }
 }
 
-// Check if a user has a specific role
-async function userHasRole(userId, roleName) {
-    const guild = await getGuild();
-    if (!guild) return false;
+// ============================================
+// Guild Configuration
+// ============================================
+// One bot instance can serve several guilds. Each guild's channel names,
+// default model, OpenCode backend, role capabilities and allow-list live in
+// GUILD_CONFIG_FILE (see guilds.example.json) and can be edited with /config.
+// Without the file, DISCORD_GUILD_ID is configured from the environment.
+const GUILD_CONFIG_FILE = path.resolve(__dirname, process.env.GUILD_CONFIG_FILE || 'guilds.json');
+// Settings editable with /config set
+const GUILD_SETTINGS = {
+    changelogChannel: 'Changelog channel',
+    syncChannel: 'Sync channel',
+    defaultModel: 'Default model',
+    opencodeUrl: 'OpenCode backend URL'
+};
+const envAllowedUsers = process.env.DISCORD_ALLOWED_USERS
+    ? process.env.DISCORD_ALLOWED_USERS.split(',').map(id => id.trim()).filter(id => id && id !== '0')
+    : [];
+// Set if GUILD_CONFIG_FILE exists but couldn't be read (it is then never overwritten)
+let guildConfigError = null;
+
+function loadGuildConfigs() {
+    if (fs.existsSync(GUILD_CONFIG_FILE)) {
+        try {
+            const { guilds = {} } = JSON.parse(fs.readFileSync(GUILD_CONFIG_FILE, 'utf8'));
+            console.log(`Loaded ${Object.keys(guilds).length} guild config(s) from ${GUILD_CONFIG_FILE}`);
+            return guilds;
+        } catch (error) {
+            guildConfigError = error.message;
+            console.error(`Failed to load guild config from ${GUILD_CONFIG_FILE}:`, error.message);
+        }
+    }
     
+    // No config file - configure DISCORD_GUILD_ID from the environment
+    return process.env.DISCORD_GUILD_ID
+        ? { [process.env.DISCORD_GUILD_ID]: { allowedUsers: envAllowedUsers } }
+        : {};
+}
+
+// guildId -> settings set for that guild (unset ones fall back to the environment)
+const guildConfigs = loadGuildConfigs();
+
+function saveGuildConfigs() {
+    if (guildConfigError) {
+        throw new Error(`${GUILD_CONFIG_FILE} couldn't be read (${guildConfigError}) - fix it by hand first`);
+    }
+    const tmpPath = `${GUILD_CONFIG_FILE}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ guilds: guildConfigs }, null, 4));
+    fs.renameSync(tmpPath, GUILD_CONFIG_FILE);
+}
+
+function getConfiguredGuildIds() {
+    return Object.keys(guildConfigs);
+}
+
+function isConfiguredGuildId(guildId) {
+    return Boolean(guildId) && Object.hasOwn(guildConfigs, guildId);
+}
+
+// Guild used when there's no better context: DISCORD_GUILD_ID, else the first configured one
+function getPrimaryGuildId() {
+    const guildIds = getConfiguredGuildIds();
+    return guildIds.includes(process.env.DISCORD_GUILD_ID) ? process.env.DISCORD_GUILD_ID : guildIds[0] || null;
+}
+
+// Effective settings of a guild
+function getGuildConfig(guildId) {
+    return {
+        changelogChannel: process.env.DISCORD_CHANGELOG_CHANNEL || 'changelog',
+        syncChannel: process.env.DISCORD_SYNC_CHANNEL || 'opencode-sync',
+        defaultModel: process.env.OPENCODE_MODEL || 'opencode/minimax-m2.5-free',
+        opencodeUrl: DEFAULT_OPENCODE_URL,
+        roles: permissionsConfig.roles,
+        allowedUsers: [],
+        ...guildConfigs[guildId]
+    };
+}
+
+// Change settings of a guild and save the config file (undefined removes a setting)
+function updateGuildConfig(guildId, changes) {
+    const config = { ...guildConfigs[guildId], ...changes };
+    for (const [key, value] of Object.entries(changes)) {
+        if (value === undefined) delete config[key];
+    }
+    const previous = guildConfigs[guildId];
+    guildConfigs[guildId] = config;
     try {
-        const member = await guild.members.fetch(userId);
-        return member.roles.cache.some(role => 
-            role.name.toLowerCase() === roleName.toLowerCase() ||
-            role.id === roleName
-        );
+        saveGuildConfigs();
     } catch (error) {
-        // User not in guild or other error
-        return false;
+        guildConfigs[guildId] = previous;
+        throw error;
+    }
+}
+
+// ============================================
+// Access List
+// ============================================
+// Each guild's allow-list is its configured allowedUsers plus users added with
+// /access allow, minus users removed with /access revoke. Changes are saved in
+// the state store and take effect immediately.
+// "guildId:userId" -> { by, at } for users added with /access allow
+const accessGrants = stateStore.map('accessGrants');
+// "guildId:userId" of configured users revoked with /access revoke
+const accessRevocations = stateStore.set('accessRevocations');
+// "guildId:userId" of users who claimed admin as the bot's first user (admin in that guild)
+const adminUsers = stateStore.set('adminUsers');
+// firstAdminClaimed -> { userId, at } once the first user has claimed admin (never offered again)
+const accessMeta = stateStore.map('accessMeta');
+
+function accessKey(guildId, userId) {
+    return `${guildId}:${userId}`;
+}
+
+if (adminUsers.size > 0 && !accessMeta.has('firstAdminClaimed')) {
+    accessMeta.set('firstAdminClaimed', { userId: [...adminUsers][0].split(':').at(-1), at: Date.now() });
+}
+
+// Grants and revocations saved before multi-guild support are keyed by user ID alone
+// and belong to the primary guild
+for (const [key, grant] of accessGrants) {
+    if (!key.includes(':') && getPrimaryGuildId()) {
+        accessGrants.delete(key);
+        accessGrants.set(accessKey(getPrimaryGuildId(), key), grant);
+    }
+}
+for (const key of accessRevocations) {
+    if (!key.includes(':') && getPrimaryGuildId()) {
+        accessRevocations.delete(key);
+        accessRevocations.add(accessKey(getPrimaryGuildId(), key));
+    }
+}
+for (const key of adminUsers) {
+    if (!key.includes(':') && getPrimaryGuildId()) {
+        adminUsers.delete(key);
+        adminUsers.add(accessKey(getPrimaryGuildId(), key));
+    }
+}
+
+function isFirstUserAdmin(guildId, userId) {
+    return adminUsers.has(accessKey(guildId, userId));
+}
+
+// First-user admins of a guild
+function getFirstUserAdmins(guildId) {
+    return [...adminUsers].filter(key => key.startsWith(`${guildId}:`)).map(key => key.split(':')[1]);
+}
+
+function getAllowedUsers(guildId) {
+    const users = new Set(guildConfigs[guildId]?.allowedUsers || []);
+    for (const key of accessGrants.keys()) {
+        const [grantGuildId, userId] = key.split(':');
+        if (grantGuildId === guildId) users.add(userId);
+    }
+    return [...users].filter(userId => !accessRevocations.has(accessKey(guildId, userId)));
+}
+
+function isAllowedUser(guildId, userId) {
+    return getAllowedUsers(guildId).includes(String(userId));
+}
+
+// Nobody has access yet - the first user to reach the bot claims admin (only ever once)
+function needsFirstAdmin() {
+    return !accessMeta.has('firstAdminClaimed') &&
+        getConfiguredGuildIds().every(guildId => getAllowedUsers(guildId).length === 0);
+}
+
+// Returns false if someone else claimed admin first (e.g. two users arriving at once)
+function claimFirstAdmin(guildId, userId) {
+    if (!needsFirstAdmin()) return false;
+    accessMeta.set('firstAdminClaimed', { userId, at: Date.now() });
+    adminUsers.add(accessKey(guildId, userId));
+    accessGrants.set(accessKey(guildId, userId), { by: userId, at: Date.now() });
+    writeAudit('access.claim', { userId, guildId });
+    console.log(`User ${userId} claimed admin as the first user`);
+    return true;
+}
+
+function allowUser(guildId, userId, byUserId) {
+    accessRevocations.delete(accessKey(guildId, userId));
+    if (!guildConfigs[guildId]?.allowedUsers?.includes(userId)) {
+        accessGrants.set(accessKey(guildId, userId), { by: byUserId, at: Date.now() });
+    }
+}
+
+function revokeUser(guildId, userId) {
+    accessGrants.delete(accessKey(guildId, userId));
+    adminUsers.delete(accessKey(guildId, userId));
+    if (guildConfigs[guildId]?.allowedUsers?.includes(userId)) {
+        accessRevocations.add(accessKey(guildId, userId));
     }
 }
 
-// Check if a user is a member of the configured guild
-async function isGuildMember(userId) {
-    const guild = await getGuild();
-    if (!guild) return false;
+if (needsFirstAdmin()) {
+    console.log('No users in whitelist - first user to message will become admin');
+} else {
+    const allowed = getConfiguredGuildIds().reduce((count, guildId) => count + getAllowedUsers(guildId).length, 0);
+    console.log(`User whitelist enabled: ${allowed} user(s) allowed across ${getConfiguredGuildIds().length} guild(s)`);
+}
+
+// ============================================
+// Authorization Cache
+// ============================================
+// Guild membership and roles per user, so auth checks don't hit the Discord API
+// on every message and button. Kept current by member and role events; entries
+// also expire after AUTH_CACHE_TTL seconds in case an event was missed.
+const AUTH_CACHE_TTL = (parseInt(process.env.AUTH_CACHE_TTL, 10) || 300) * 1000;
+// Discord API errors meaning "this user is not in the guild"
+const UNKNOWN_MEMBER_CODES = [10007, 10013]; // Unknown Member, Unknown User
+// "guildId:userId" -> { isMember, roles: [{ id, name }], fetchedAt }
+const authCache = new Map();
+// userId -> guild the user last acted in (see resolveUserGuild)
+const userGuilds = new Map();
+// userId -> guild the user's DMs last ran under (to tell them when it changes)
+const dmGuilds = new Map();
+
+function cacheMember(member) {
+    const entry = {
+        isMember: true,
+        roles: member.roles.cache.map(role => ({ id: role.id, name: role.name })),
+        fetchedAt: Date.now()
+    };
+    authCache.set(accessKey(member.guild.id, member.id), entry);
+    return entry;
+}
+
+// Membership and roles of a user in a guild (cached)
+async function getMemberInfo(userId, guildId) {
+    const key = accessKey(guildId, userId);
+    const cached = authCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < AUTH_CACHE_TTL) return cached;
+    
+    const guild = await getGuild(guildId);
+    if (!guild) return { isMember: false, roles: [] };
     
     try {
-        await guild.members.fetch(userId);
-        return true;
+        return cacheMember(await guild.members.fetch({ user: userId, force: true }));
     } catch (error) {
-        return false;
+        const notMember = { isMember: false, roles: [], fetchedAt: Date.now() };
+        // Only remember definite answers - a network hiccup shouldn't lock someone out for the TTL
+        if (UNKNOWN_MEMBER_CODES.includes(error.code)) {
+            authCache.set(key, notMember);
+        } else {
+            console.error(`Failed to fetch member ${userId}:`, error.message);
+        }
+        return notMember;
+    }
+}
+
+// Forget cached membership (one user, or everyone). Returns the number of entries dropped.
+function invalidateAuthCache(userId = null) {
+    if (!userId) {
+        const count = authCache.size;
+        authCache.clear();
+        return count;
+    }
+    
+    let count = 0;
+    for (const key of authCache.keys()) {
+        if (key.endsWith(`:${userId}`) && authCache.delete(key)) count++;
+    }
+    return count;
+}
+
+// Names and IDs of a user's roles in a guild (empty if not a member)
+async function getMemberRoles(userId, guildId = getUserGuildId(userId)) {
+    return (await getMemberInfo(userId, guildId)).roles;
+}
+
+// Guild a user acts in: the configured guild the message or command came from,
+// else (DMs) the guild they last used or the first configured guild that gives them
+// access (the first one they're in if none does, so the denial names the right guild).
+// Returns null if they aren't a member of any configured guild.
+async function resolveUserGuild(userId, contextGuildId = null) {
+    if (contextGuildId) {
+        if (!isConfiguredGuildId(contextGuildId) || !(await getMemberInfo(userId, contextGuildId)).isMember) return null;
+        userGuilds.set(userId, contextGuildId);
+        return contextGuildId;
+    }
+    
+    let memberGuildId = null;
+    for (const guildId of new Set([userGuilds.get(userId), ...getConfiguredGuildIds()])) {
+        if (!isConfiguredGuildId(guildId) || !(await getMemberInfo(userId, guildId)).isMember) continue;
+        memberGuildId ||= guildId;
+        if (needsFirstAdmin() || (await getUserCapabilities(userId, guildId)).capabilities.size > 0) {
+            memberGuildId = guildId;
+            break;
+        }
+    }
+    if (memberGuildId) userGuilds.set(userId, memberGuildId);
+    return memberGuildId;
+}
+
+// Guild last resolved for a user (primary guild if they haven't been seen yet)
+function getUserGuildId(userId) {
+    return userGuilds.get(userId) || getPrimaryGuildId();
+}
+
+// OpenCode backend for a user's guild, and for an existing session
+function getUserBackend(userId) {
+    return getGuildConfig(getUserGuildId(userId)).opencodeUrl;
+}
+
+function getUserClient(userId) {
+    return getOpencodeClient(getUserBackend(userId));
+}
+
+function getSessionBackend(sessionId) {
+    return sessionBackends.get(sessionId) || DEFAULT_OPENCODE_URL;
+}
+
+function getSessionClient(sessionId) {
+    return getOpencodeClient(getSessionBackend(sessionId));
+}
+
+// Remember the backend of a session found on a non-default server
+function trackSessionBackend(sessionId, backend) {
+    if (backend !== DEFAULT_OPENCODE_URL && !sessionBackends.has(sessionId)) {
+        sessionBackends.set(sessionId, backend);
+    }
+}
+
+// Check if a user is authorized to use the bot (has at least one capability)
+// contextGuildId: guild the message or command came from (null for DMs)
+// Returns: { authorized: boolean, isAdmin: boolean, capabilities: Set, guildId, reason?: string,
+//   dmGuildChanged?: true when a DM runs under a different guild than the user's last DM }
+async function checkUserAuthorized(userId, contextGuildId = null) {
+    // First check if user is in a configured guild
+    const guildId = await resolveUserGuild(userId, contextGuildId);
+    const auth = await checkGuildAuthorized(userId, guildId, contextGuildId);
+    
+    if (!contextGuildId && auth.authorized) {
+        const previous = dmGuilds.get(userId);
+        dmGuilds.set(userId, guildId);
+        if (previous && previous !== guildId) auth.dmGuildChanged = true;
     }
+    return auth;
+}
+
+// Notice for a DM that now runs under another guild's backend, default model and limits
+function formatDmGuildChange(guildId) {
+    const name = client.guilds.cache.get(guildId)?.name || guildId;
+    return `ℹ️ Your DMs now use **${name}**'s settings (server, default model and limits), ` +
+        `since that's where you last used the bot.`;
 }
 
-// Check if a user is authorized to use the bot
-// Returns: { authorized: boolean, isAdmin: boolean, reason?: string }
-async function checkUserAuthorized(userId) {
-    // First check if user is in the guild
-    const isMember = await isGuildMember(userId);
-    if (!isMember) {
+// Authorization in the guild resolved for a user (see checkUserAuthorized)
+async function checkGuildAuthorized(userId, guildId, contextGuildId) {
+    if (!guildId) {
         return {
             authorized: false,
             isAdmin: false,
-            reason: 'You must be a member of the server to use this bot.'
+            capabilities: new Set(),
+            guildId: null,
+            reason: contextGuildId && !isConfiguredGuildId(contextGuildId)
+                ? 'This server isn\'t set up for this bot.'
+                : 'You must be a member of the server to use this bot.'
         };
     }
     
-    // If no allowlist configured, first user becomes admin
-    if (allowedUsers.length === 0) {
+    // If nobody has access yet, first user becomes admin
+    if (needsFirstAdmin()) {
         return {
             authorized: true,
             isAdmin: true,
-            isFirstUser: true
+            isFirstUser: true,
+            capabilities: new Set(Object.keys(CAPABILITIES)),
+            guildId
         };
     }
     
-    // Check if user is in whitelist
-    if (allowedUsers.includes(String(userId))) {
-        const isAdmin = await userHasRole(userId, process.env.DISCORD_ADMIN_ROLE || 'admin');
-        return { authorized: true, isAdmin };
-    }
-    
-    // Check if user has admin or edit role
-    const hasAdminRole = await userHasRole(userId, process.env.DISCORD_ADMIN_ROLE || 'admin');
-    const hasEditRole = await userHasRole(userId, process.env.DISCORD_EDIT_ROLE || 'edit');
-    
-    if (hasAdminRole || hasEditRole) {
-        return { authorized: true, isAdmin: hasAdminRole };
+    const { capabilities } = await getUserCapabilities(userId, guildId);
+    if (capabilities.size > 0) {
+        return { authorized: true, isAdmin: capabilities.has('admin'), capabilities, guildId };
     }
     
+    const chatRoles = Object.entries(getGuildConfig(guildId).roles)
+        .filter(([, list]) => list.includes('*') || list.includes('chat'))
+        .map(([role]) => `**${role}**`);
     return {
         authorized: false,
         isAdmin: false,
-        reason: `You need the **${process.env.DISCORD_EDIT_ROLE || 'edit'}** or **${process.env.DISCORD_ADMIN_ROLE || 'admin'}** role to use this bot.\n\nYour user ID: \`${userId}\``
+        capabilities,
+        guildId,
+        reason: (chatRoles.length > 0
+            ? `You need one of these roles to use this bot: ${chatRoles.join(', ')}.`
+            : 'You don\'t have access to this bot. Ask an admin to add you.') +
+            `\n\nYour user ID: \`${userId}\``
     };
 }
 
-// Get the current model for a user (falls back to env default)
+// Get the current model for a user (falls back to their guild's default)
 function getUserModel(userId) {
-    return userModels.get(userId) || process.env.OPENCODE_MODEL || 'opencode/minimax-m2.5-free';
+    return userModels.get(userId) || getGuildConfig(getUserGuildId(userId)).defaultModel;
+}
+
+// Get the agent for a user (null = the server's default agent)
+function getUserAgent(userId) {
+    return userAgents.get(userId) || process.env.OPENCODE_AGENT || null;
+}
+
+// Agent for a prompt: the sync thread's override, else the user's choice
+function getPromptAgent(userId, threadId = null) {
+    return (threadId && threadAgents.get(threadId)) || getUserAgent(userId);
+}
+
+// Get a user preference (falls back to DEFAULT_PREFERENCES)
+function getUserPreference(userId, key) {
+    return userPreferences.get(userId)?.[key] ?? DEFAULT_PREFERENCES[key];
+}
+
+// Update a user preference (replaces the stored object so the change is persisted)
+function setUserPreference(userId, key, value) {
+    userPreferences.set(userId, { ...userPreferences.get(userId), [key]: value });
 }
 
 // Parse model ID string (provider/model) into { providerID, modelID } object
@@ -226,908 +668,3815 @@ function parseModelId(modelStr) {
     return { providerID, modelID };
 }
 
-// Dynamic model loading
-async function getAvailableModels() {
+// Create a new OpenCode session for a Discord user and make it their current one
+async function createUserSession(userId) {
+    const backend = getUserBackend(userId);
+    const { data: newSession } = await getOpencodeClient(backend).session.create({});
+    userSessions.set(userId, newSession.id);
+    sessionOwners.set(newSession.id, userId);
+    trackSessionBackend(newSession.id, backend);
+    // Mark as Discord-initiated so we don't sync back to Discord
+    discordInitiatedSessions.add(newSession.id);
+    return newSession;
+}
+
+// Agents that can run a prompt (subagents are only invoked by other agents)
+async function getAvailableAgents(userId) {
+    const result = await getUserClient(userId).app.agents();
+    if (result?.error) {
+        throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
+    }
+    return (result?.data || []).filter(agent => agent.mode !== 'subagent');
+}
+
+// ============================================
+// Model Catalog
+// ============================================
+// The provider/model list of each backend is cached (autocomplete needs an
+// answer within 3 seconds) together with each model's capabilities.
+const MODEL_CACHE_TTL = (parseInt(process.env.MODEL_CACHE_TTL, 10) || 300) * 1000;
+// backend URL -> { models, loadedAt }
+const modelCaches = new Map();
+
+// Whether a model accepts images: true, false or null (unknown)
+function getModelVision(model) {
+    const capabilities = model?.capabilities;
+    if (capabilities?.input?.image !== undefined) return capabilities.input.image;
+    if (capabilities?.attachment !== undefined) return capabilities.attachment;
+    if (Array.isArray(model?.modalities?.input)) return model.modalities.input.includes('image');
+    if (model?.attachment !== undefined) return model.attachment;
+    return null;
+}
+
+// Dynamic model loading (options.backend picks the server, options.refresh bypasses the cache)
+async function getAvailableModels(options = {}) {
+    const backend = options.backend || DEFAULT_OPENCODE_URL;
+    const modelCache = modelCaches.get(backend) || { models: null, loadedAt: 0 };
+    if (!options.refresh && modelCache.models && Date.now() - modelCache.loadedAt < MODEL_CACHE_TTL) {
+        return modelCache.models;
+    }
+    
     try {
-        const { data } = await opencode.config.providers();
+        const { data } = await getOpencodeClient(backend).config.providers();
         const models = [];
         
         for (const provider of data.providers) {
             if (provider.models && typeof provider.models === 'object') {
-                for (const modelId of Object.keys(provider.models)) {
+                for (const [modelId, model] of Object.entries(provider.models)) {
                     models.push({
                         id: `${provider.id}/${modelId}`,
-                        name: `${provider.name} ${modelId}`
+                        name: `${provider.name} ${modelId}`,
+                        providerId: provider.id,
+                        providerName: provider.name,
+                        modelId,
+                        contextLimit: model?.limit?.context || null,
+                        vision: getModelVision(model),
+                        // USD per million tokens (null if the provider doesn't report it)
+                        cost: model?.cost ? { input: model.cost.input || 0, output: model.cost.output || 0 } : null
                     });
                 }
             }
         }
         
-        console.log(`Loaded ${models.length} models from OpenCode server`);
+        console.log(`Loaded ${models.length} models from OpenCode server ${backend}`);
+        if (models.length > 0) {
+            modelCaches.set(backend, { models, loadedAt: Date.now() });
+        }
         return models;
     } catch (error) {
         console.error('Error loading models:', error);
-        return [];
+        // Serve a stale catalog rather than nothing while the server is unreachable
+        return modelCache.models || [];
     }
 }
 
-// Send prompt to OpenCode and get response
-async function sendPrompt(sessionId, parts, modelObj) {
-    try {
-        const result = await opencode.session.prompt({
-            path: { id: sessionId },
-            body: { 
-                parts,
-                model: modelObj
-            }
-        });
-        
-        if (result?.error) {
-            throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
-        }
-        
-        return result?.data;
-    } catch (error) {
-        throw error;
+// Catalog entry for a model ID on a backend (null if unknown)
+async function getModelInfo(modelStr, backend) {
+    const models = await getAvailableModels({ backend });
+    return models.find(m => m.id === modelStr) || null;
+}
+
+// One-line capability summary, e.g. "200k context · images · $3/$15 per 1M tokens"
+function formatModelCapabilities(model) {
+    const details = [];
+    if (model.contextLimit) details.push(`${formatTokens(model.contextLimit)} context`);
+    if (model.vision === true) details.push('images');
+    if (model.vision === false) details.push('text only');
+    if (model.cost) {
+        details.push(model.cost.input || model.cost.output
+            ? `$${model.cost.input}/$${model.cost.output} per 1M tokens`
+            : 'free');
     }
+    return details.join(' · ');
 }
 
-// Extract text from OpenCode response
-function extractResponseText(response) {
-    let responseText = '';
+// Model to send an image prompt with: the user's model if it accepts images,
+// else OPENCODE_VISION_MODEL. Returns { model, switched } or { error }.
+async function resolveImageModel(userModel, backend) {
+    const info = await getModelInfo(userModel, backend);
+    if (info?.vision !== false) {
+        return { model: userModel, switched: false };
+    }
     
-    if (response && response.parts) {
-        responseText = response.parts
-            .filter(p => p.type === 'text')
-            .map(p => p.text)
-            .join('\n');
-    } else if (response && response.content) {
-        if (typeof response.content === 'string') {
-            responseText = response.content;
-        } else if (Array.isArray(response.content)) {
-            responseText = response.content
-                .filter(p => p.type === 'text')
-                .map(p => p.text)
-                .join('\n');
-        }
+    const visionModel = process.env.OPENCODE_VISION_MODEL;
+    if (visionModel && visionModel !== userModel && (await getModelInfo(visionModel, backend))?.vision !== false) {
+        return { model: visionModel, switched: true };
     }
     
-    return responseText;
+    const suggestions = (await getAvailableModels({ backend }))
+        .filter(m => m.vision === true)
+        .slice(0, 5)
+        .map(m => `\`${m.id}\``);
+    return {
+        error: `\`${userModel}\` doesn't accept images, so this message wasn't sent.\n\n` +
+            (suggestions.length > 0
+                ? `Switch to a vision-capable model with \`/model\`, e.g. ${suggestions.join(', ')}.`
+                : 'Switch to a vision-capable model with `/model`.')
+    };
+}
+
+// ============================================
+// Context Usage
+// ============================================
+// Token usage of the last assistant message vs. the model's context limit,
+// shown in reply footers and /sessions, with a warning past a threshold.
+const CONTEXT_WARN_THRESHOLD = parseFloat(process.env.CONTEXT_WARN_THRESHOLD) || 0.8;
+// Sessions already warned about context usage (cleared when compacted)
+const contextWarnedSessions = new Set();
+
+// Tokens occupying the context window after an assistant message
+function getContextTokens(info) {
+    const tokens = info?.tokens;
+    if (!tokens) return 0;
+    return (tokens.input || 0) + (tokens.output || 0) + (tokens.reasoning || 0) +
+        (tokens.cache?.read || 0) + (tokens.cache?.write || 0);
+}
+
+// Context limit for a model ID on a backend (null if unknown)
+async function getModelContextLimit(modelStr, backend) {
+    return (await getModelInfo(modelStr, backend))?.contextLimit || null;
 }
 
-// Parse file changes from AI response
-function parseFileChanges(responseText) {
-    const files = [];
+// Context usage for an assistant message: { used, limit, ratio } (null if no token data)
+async function getContextUsage(info) {
+    const used = getContextTokens(info);
+    if (!used) return null;
     
-    // Look for common patterns indicating file operations
-    const patterns = [
-        /(?:created|wrote|edited|modified|updated|deleted|removed)\s+(?:file\s+)?[`"]?([^\s`"]+\.[a-zA-Z]+)[`"]?/gi,
-        /(?:file|path):\s*[`"]?([^\s`"]+\.[a-zA-Z]+)[`"]?/gi,
-        /```(?:diff|patch)[\s\S]*?(?:---|\+\+\+)\s+([^\s]+)/gi,
-    ];
+    const limit = info.providerID
+        ? await getModelContextLimit(`${info.providerID}/${info.modelID}`, getSessionBackend(info.sessionID))
+        : null;
+    return { used, limit, ratio: limit ? used / limit : null };
+}
+
+// Format a token count, e.g. 45200 -> "45.2k", 200000 -> "200k"
+function formatTokens(count) {
+    if (count >= 1000000) return `${(count / 1000000).toFixed(1).replace(/\.0$/, '')}M`;
+    if (count >= 1000) return `${(count / 1000).toFixed(1).replace(/\.0$/, '')}k`;
+    return String(count);
+}
+
+function formatContextUsage(usage) {
+    if (!usage) return null;
+    if (!usage.limit) return `Context: ${formatTokens(usage.used)} tokens`;
+    return `Context: ${formatTokens(usage.used)} / ${formatTokens(usage.limit)} tokens (${Math.round(usage.ratio * 100)}%)`;
+}
+
+// Warn once per session when its context usage passes the threshold
+async function warnContextUsage(send, sessionId, usage) {
+    if (!usage?.ratio || usage.ratio < CONTEXT_WARN_THRESHOLD) return;
+    if (contextWarnedSessions.has(sessionId)) return;
+    contextWarnedSessions.add(sessionId);
     
-    for (const pattern of patterns) {
-        let match;
-        while ((match = pattern.exec(responseText)) !== null) {
-            const file = match[1];
-            if (file && !files.includes(file) && !file.startsWith('http')) {
-                files.push(file);
-            }
-        }
+    try {
+        await send(
+            `⚠️ This session is using **${Math.round(usage.ratio * 100)}%** of the model's context window. ` +
+            `Run \`/compact\` to summarize it, or \`/new\` to start fresh.`
+        );
+    } catch (error) {
+        console.error('Failed to send context warning:', error.message);
     }
-    
-    return files;
 }
 
-// Post to changelog channel
-async function postChangelog(userId, taskSummary, filesChanged, action = 'update') {
-    const guild = await getGuild();
-    if (!guild) return;
+// Sessions with a prompt from Discord currently in flight
+const runningPrompts = new Set();
+// Sessions whose running prompt was cancelled via /abort or the Stop button
+const abortedSessions = new Set();
+
+// Thrown by sendPrompt when the prompt was aborted (partial output is kept in the live reply)
+class PromptAbortedError extends Error {
+    constructor(sessionId, partialText = '') {
+        super(`Prompt in session ${sessionId.slice(0, 8)} was aborted`);
+        this.name = 'PromptAbortedError';
+        this.partialText = partialText;
+    }
+}
+
+// Thrown by sendPrompt when a queued prompt was cancelled before it started
+class PromptCancelledError extends Error {
+    constructor(sessionId) {
+        super(`Queued prompt for session ${sessionId.slice(0, 8)} was cancelled`);
+        this.name = 'PromptCancelledError';
+    }
+}
+
+// Thrown by sendPrompt when the prompt is over the user's limits (message is the reason to show them)
+class PromptLimitError extends Error {
+    constructor(reason) {
+        super(reason);
+        this.name = 'PromptLimitError';
+    }
+}
+
+// ============================================
+// Usage Accounting
+// ============================================
+// Tokens and cost of every assistant response, summed per UTC day, Discord user,
+// session and model, kept in USAGE_FILE. Days older than USAGE_RETENTION_DAYS are pruned.
+const USAGE_RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 90;
+const USAGE_PERIODS = {
+    day: { days: 1, label: 'Today' },
+    week: { days: 7, label: 'Last 7 days' },
+    month: { days: 30, label: 'Last 30 days' }
+};
+// "day|userId|sessionId|model" -> { day, userId, sessionId, model, prompts, input, output, reasoning, cacheRead, cacheWrite, cost }
+const usageTotals = usageStore.map('usage');
+// Bookkeeping: lastPruneDay, lastSummaryDay
+const usageMeta = usageStore.map('usageMeta');
+// sessionId -> (messageId -> assistant message info) seen on the event stream while a prompt runs
+const promptSteps = new Map();
+
+// UTC date (YYYY-MM-DD) usage is bucketed under
+function getUsageDay(time = Date.now()) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// Record an assistant response against the Discord user who sent the prompt
+function recordUsage(userId, sessionId, info) {
+    if (!userId || !info?.tokens) return;
     
-    const channelName = process.env.DISCORD_CHANGELOG_CHANNEL || 'changelog';
+    const day = getUsageDay();
+    const model = info.providerID ? `${info.providerID}/${info.modelID}` : 'unknown';
+    const key = [day, userId, sessionId, model].join('|');
+    const entry = usageTotals.get(key) ||
+        { day, userId, sessionId, model, prompts: 0, input: 0, output: 0, reasoning: 0, cacheRead: 0, cacheWrite: 0, cost: 0 };
+    const tokens = info.tokens;
     
-    // Find changelog channel by name or ID
-    let channel = guild.channels.cache.find(ch => 
-        ch.name === channelName || ch.id === channelName
-    );
+    usageTotals.set(key, {
+        ...entry,
+        prompts: entry.prompts + 1,
+        input: entry.input + (tokens.input || 0),
+        output: entry.output + (tokens.output || 0),
+        reasoning: entry.reasoning + (tokens.reasoning || 0),
+        cacheRead: entry.cacheRead + (tokens.cache?.read || 0),
+        cacheWrite: entry.cacheWrite + (tokens.cache?.write || 0),
+        cost: entry.cost + (info.cost || 0)
+    });
     
-    // Create channel if it doesn't exist
-    if (!channel) {
-        try {
-            channel = await guild.channels.create({
-                name: channelName,
-                type: ChannelType.GuildText,
-                topic: 'Codebase changes made via OpenDiscord bot',
-                reason: 'OpenDiscord changelog channel'
-            });
-            console.log(`Created changelog channel: #${channelName}`);
-        } catch (error) {
-            console.error('Failed to create changelog channel:', error.message);
-            return;
-        }
-    }
-    
-    // Determine color and title based on action
-    let color = 0x5865F2; // Discord blurple (default)
-    let title = 'Codebase Update';
-    let emoji = '';
-    
-    if (action === 'create') {
-        color = 0x57F287; // Green
-        title = 'Files Created';
-        emoji = '+';
-    } else if (action === 'edit') {
-        color = 0xFEE75C; // Yellow
-        title = 'Files Modified';
-        emoji = '~';
-    } else if (action === 'delete') {
-        color = 0xED4245; // Red
-        title = 'Files Deleted';
-        emoji = '-';
-    }
-    
-    // Create changelog embed
-    const embed = new EmbedBuilder()
-        .setColor(color)
-        .setTitle(title)
-        .setDescription(taskSummary.length > 2000 ? taskSummary.slice(0, 2000) + '...' : taskSummary)
-        .addFields(
-            { name: 'Initiated by', value: `<@${userId}>`, inline: true },
-            { name: 'Files Changed', value: filesChanged.length > 0 ? filesChanged.slice(0, 10).map(f => `\`${emoji}${f}\``).join('\n') : 'No files detected', inline: true }
-        )
-        .setTimestamp()
-        .setFooter({ text: 'OpenDiscord' });
-    
-    try {
-        await channel.send({ embeds: [embed] });
-        console.log(`Posted changelog for user ${userId}: ${filesChanged.length} files`);
-    } catch (error) {
-        console.error('Failed to post changelog:', error.message);
+    if (usageMeta.get('lastPruneDay') !== day) {
+        usageMeta.set('lastPruneDay', day);
+        pruneUsage();
     }
-    
-    return channel;
 }
 
-// Ensure changelog channel exists on startup
-async function ensureChangelogChannel() {
-    const guild = await getGuild();
-    if (!guild) return null;
-    
-    const channelName = process.env.DISCORD_CHANGELOG_CHANNEL || 'changelog';
+// A prompt that calls tools runs one assistant message per step, all pointing at the prompt's
+// user message. Combine the steps seen on the event stream (falls back to the final message alone).
+function getPromptUsageInfo(steps, info) {
+    if (!info?.parentID) return info;
+    const messages = [...(steps?.values() || [])]
+        .filter(m => m.id !== info.id && m.parentID === info.parentID && m.tokens)
+        .concat(info.tokens ? [info] : []);
+    if (messages.length === 0) return info;
     
-    // Find changelog channel by name or ID
-    let channel = guild.channels.cache.find(ch => 
-        ch.name === channelName || ch.id === channelName
-    );
-    
-    // Create channel if it doesn't exist
-    if (!channel) {
-        try {
-            channel = await guild.channels.create({
-                name: channelName,
-                type: ChannelType.GuildText,
-                topic: 'Codebase changes made via OpenDiscord bot',
-                reason: 'OpenDiscord changelog channel'
-            });
-            console.log(`Created changelog channel on startup: #${channelName}`);
-            
-            // Send welcome message
-            const embed = new EmbedBuilder()
-                .setColor(0x5865F2)
-                .setTitle('OpenDiscord Changelog')
-                .setDescription('This channel logs all codebase changes made through the OpenDiscord bot.\n\nEach entry includes:\n- Who initiated the change\n- Summary of what was done\n- Files that were modified')
-                .setTimestamp()
-                .setFooter({ text: 'OpenDiscord initialized' });
-            
-            await channel.send({ embeds: [embed] });
-        } catch (error) {
-            console.error('Failed to create changelog channel on startup:', error.message);
-            return null;
+    const sum = (get) => messages.reduce((total, m) => total + (get(m) || 0), 0);
+    return {
+        ...info,
+        cost: sum(m => m.cost),
+        tokens: {
+            input: sum(m => m.tokens.input),
+            output: sum(m => m.tokens.output),
+            reasoning: sum(m => m.tokens.reasoning),
+            cache: { read: sum(m => m.tokens.cache?.read), write: sum(m => m.tokens.cache?.write) }
         }
-    }
-    
-    console.log(`Changelog channel ready: #${channel.name}`);
-    return channel;
+    };
 }
 
-// Ensure #opencode-sync channel exists for OpenCode session sync
-async function ensureSyncChannel() {
-    const guild = await getGuild();
-    if (!guild) return null;
-    
-    // Find sync channel by name or ID
-    let channel = guild.channels.cache.find(ch => 
-        ch.name === SYNC_CHANNEL_NAME || ch.id === SYNC_CHANNEL_NAME
-    );
-    
-    // Create channel if it doesn't exist
-    if (!channel) {
-        try {
-            channel = await guild.channels.create({
-                name: SYNC_CHANNEL_NAME,
-                type: ChannelType.GuildText,
-                topic: 'OpenCode terminal session sync - threads mirror conversations',
-                reason: 'OpenCode sync channel for terminal sessions'
-            });
-            console.log(`Created sync channel: #${SYNC_CHANNEL_NAME}`);
-            
-            // Send welcome message
-            const embed = new EmbedBuilder()
-                .setColor(0x00D26A)
-                .setTitle('OpenCode Session Sync')
-                .setDescription('This channel syncs OpenCode terminal sessions to Discord threads.\n\n' +
-                    '**How it works:**\n' +
-                    '• Each OpenCode session creates a thread here\n' +
-                    '• User prompts and AI responses are posted to the thread\n' +
-                    '• Reply in a thread to send messages back to OpenCode\n\n' +
-                    '*Only sessions from the configured OpenCode server (port 4098) are synced.*')
-                .setTimestamp()
-                .setFooter({ text: 'OpenCode Sync initialized' });
-            
-            await channel.send({ embeds: [embed] });
-        } catch (error) {
-            console.error('Failed to create sync channel:', error.message);
-            return null;
-        }
+function pruneUsage() {
+    const cutoff = getUsageDay(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    for (const [key, entry] of usageTotals) {
+        if (entry.day < cutoff) usageTotals.delete(key);
     }
-    
-    console.log(`Sync channel ready: #${channel.name}`);
-    syncChannel = channel;
-    return channel;
 }
 
-// Create a thread in the sync channel for an OpenCode session
-async function createSyncThread(sessionId, title, directory) {
-    if (!syncChannel) {
-        syncChannel = await ensureSyncChannel();
-    }
-    if (!syncChannel) {
-        console.error('Cannot create sync thread: sync channel not available');
-        return null;
-    }
-    
-    try {
-        // Create starter message for the thread
-        const embed = new EmbedBuilder()
-            .setColor(0x00D26A)
-            .setTitle(title.slice(0, 100) || 'OpenCode Session')
-            .setDescription(`Session: \`${sessionId.slice(0, 8)}...\`\nDirectory: \`${directory || 'unknown'}\``)
-            .setTimestamp()
-            .setFooter({ text: 'Reply to this thread to send messages to OpenCode' });
-        
-        const starterMessage = await syncChannel.send({ embeds: [embed] });
-        
-        // Create thread from the message
-        const thread = await starterMessage.startThread({
-            name: title.slice(0, 100) || 'OpenCode Session',
-            autoArchiveDuration: 1440, // 24 hours
-            reason: `OpenCode session sync: ${sessionId}`
-        });
-        
-        // Store mappings
-        sessionToThread.set(sessionId, thread.id);
-        threadToSession.set(thread.id, sessionId);
-        
-        // Subscribe to thread for replies
-        subscribedThreads.add(thread.id);
-        
-        console.log(`Created sync thread: ${thread.name} (${thread.id}) for session ${sessionId.slice(0, 8)}`);
-        return thread;
-    } catch (error) {
-        console.error('Failed to create sync thread:', error.message);
-        return null;
-    }
+// Usage entries within a period (day | week | month), optionally for one user
+function getUsageEntries(period, userId = null) {
+    const since = getUsageDay(Date.now() - (USAGE_PERIODS[period].days - 1) * 24 * 60 * 60 * 1000);
+    return [...usageTotals.values()].filter(e => e.day >= since && (!userId || e.userId === userId));
 }
 
-// Post a message exchange to a sync thread
-async function postToSyncThread(threadId, userContent, assistantContent) {
-    try {
-        const thread = await client.channels.fetch(threadId);
-        if (!thread || !thread.isThread()) {
-            console.error('Invalid thread ID:', threadId);
-            return false;
-        }
-        
-        // Format user message
-        if (userContent) {
-            const userParts = splitMessage(userContent, 1900);
-            for (let i = 0; i < userParts.length; i++) {
-                const content = i === 0 
-                    ? `**User:**\n${userParts[i]}`
-                    : userParts[i];
-                await thread.send(content);
-            }
-        }
-        
-        // Format assistant message
-        if (assistantContent) {
-            const assistantParts = splitMessage(assistantContent, 1900);
-            for (let i = 0; i < assistantParts.length; i++) {
-                const content = i === 0
-                    ? `**Assistant:**\n${assistantParts[i]}`
-                    : assistantParts[i];
-                await thread.send(content);
-            }
+// Sum entries, optionally grouped by a field. Returns [[group, totals]] sorted by cost, then tokens.
+function sumUsage(entries, groupBy = null) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const group = groupBy ? entry[groupBy] : 'total';
+        const totals = groups.get(group) || { prompts: 0, input: 0, output: 0, reasoning: 0, cacheRead: 0, cacheWrite: 0, cost: 0 };
+        for (const field of Object.keys(totals)) {
+            totals[field] += entry[field] || 0;
         }
-        
-        return true;
-    } catch (error) {
-        console.error('Failed to post to sync thread:', error.message);
-        return false;
+        groups.set(group, totals);
     }
+    return [...groups].sort(([, a], [, b]) => (b.cost - a.cost) || ((b.input + b.output) - (a.input + a.output)));
 }
 
-// Handle a message from Discord thread -> forward to OpenCode
-async function handleSyncThreadReply(threadId, userMessage, content) {
-    const sessionId = threadToSession.get(threadId);
-    if (!sessionId) {
-        console.error('No session found for thread:', threadId);
-        return;
+function formatCost(cost) {
+    if (cost > 0 && cost < 0.01) return '<$0.01';
+    return `$${cost.toFixed(2)}`;
+}
+
+// e.g. "12 prompts · 1.2M in / 45k out · $1.23"
+function formatUsageTotals(totals) {
+    const input = totals.input + totals.cacheRead + totals.cacheWrite;
+    const output = totals.output + totals.reasoning;
+    return `${totals.prompts} prompt${totals.prompts === 1 ? '' : 's'} · ${formatTokens(input)} in / ${formatTokens(output)} out · ${formatCost(totals.cost)}`;
+}
+
+// Usage embed with a total plus one field per breakdown (userId | model | sessionId)
+function buildUsageEmbed(title, entries, breakdowns) {
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle(title)
+        .setTimestamp();
+    
+    if (entries.length === 0) {
+        embed.setDescription('No usage recorded.');
+        return embed;
     }
     
-    console.log(`Forwarding thread reply to OpenCode session ${sessionId.slice(0, 8)}: "${content.slice(0, 50)}..."`);
+    const [[, total]] = sumUsage(entries);
+    embed.setDescription(`**Total:** ${formatUsageTotals(total)}`);
     
-    try {
-        // Show typing indicator
-        await userMessage.channel.sendTyping();
-        
-        // Get model for user (or use default)
-        const userId = userMessage.author.id;
-        const userModel = getUserModel(userId);
-        const modelObj = parseModelId(userModel);
-        
-        // Use the same sendPrompt function as main handler
-        const parts = [{ type: 'text', text: content }];
-        const response = await sendPrompt(sessionId, parts, modelObj);
-        
-        console.log(`Got response from OpenCode for thread reply`);
-        
-        // Extract response text using same function as main handler
-        const fullResponse = extractResponseText(response);
+    const labels = {
+        userId: ['By user', id => `<@${id}>`],
+        model: ['By model', id => `\`${id}\``],
+        sessionId: ['By session', id => `\`${id.slice(0, 8)}\``]
+    };
+    for (const field of breakdowns) {
+        const [name, label] = labels[field];
+        const groups = sumUsage(entries, field);
+        const lines = groups.slice(0, 10).map(([id, totals]) => `${label(id)} - ${formatUsageTotals(totals)}`);
+        if (groups.length > 10) lines.push(`... and ${groups.length - 10} more`);
+        embed.addFields({ name, value: lines.join('\n').slice(0, 1024) });
+    }
+    return embed;
+}
+
+// Post yesterday's team usage to the changelog channel once a day (USAGE_DAILY_SUMMARY=true)
+function startUsageSummarySchedule() {
+    if (process.env.USAGE_DAILY_SUMMARY !== 'true') return;
+    
+    const postSummary = async () => {
+        const yesterday = getUsageDay(Date.now() - 24 * 60 * 60 * 1000);
+        if (usageMeta.get('lastSummaryDay') === yesterday) return;
         
-        // Post the response to the thread
-        if (fullResponse) {
-            const responseParts = splitMessage(fullResponse, 1900);
-            for (let i = 0; i < responseParts.length; i++) {
-                const prefix = i === 0 ? '**Assistant:**\n' : '';
-                await userMessage.channel.send(prefix + responseParts[i]);
-            }
-        } else {
-            await userMessage.channel.send('*No response from AI*');
+        const entries = [...usageTotals.values()].filter(e => e.day === yesterday);
+        if (entries.length > 0) {
+            const channel = await ensureChangelogChannel();
+            if (!channel) return; // Retry on the next check
+            await channel.send({ embeds: [buildUsageEmbed(`Daily Usage - ${yesterday}`, entries, ['userId', 'model'])] });
+            console.log(`Posted usage summary for ${yesterday}`);
         }
-    } catch (error) {
-        console.error('Failed to forward to OpenCode:', error.message);
-        await userMessage.channel.send(`*Error: ${error.message}*`);
-    }
+        usageMeta.set('lastSummaryDay', yesterday);
+    };
+    
+    const check = () => postSummary().catch(error => console.error('Failed to post usage summary:', error.message));
+    check();
+    setInterval(check, 60 * 60 * 1000);
 }
 
 // ============================================
-// Global Event Subscription for Session Sync
+// Usage Limits
 // ============================================
+// Prompts per hour, daily token/cost budgets and model allow-lists, configured
+// per role and per user in LIMITS_FILE (see limits.example.json). A user gets
+// the most generous value among their roles; per-user entries and admin
+// overrides (/limits set) replace it. null or a missing field means unlimited.
+const LIMIT_FIELDS = {
+    promptsPerHour: 'Prompts per hour',
+    dailyTokens: 'Daily tokens',
+    dailyCost: 'Daily cost (USD)',
+    models: 'Allowed models'
+};
+const HOUR_MS = 60 * 60 * 1000;
+// userId -> partial limits set by an admin with /limits set
+const limitOverrides = stateStore.map('limitOverrides');
+// userId -> timestamps of prompts counted in the last hour (see countPrompt)
+const promptTimestamps = new Map();
 
-/**
- * Extract text content from a message
- */
-function extractMessageContent(message) {
-    if (!message) return '';
-    // Parts can be at message.parts or message.info might not have parts
-    const parts = message.parts || [];
-    if (parts.length === 0) return '';
+function loadLimitsConfig() {
+    const filePath = path.resolve(__dirname, process.env.LIMITS_FILE || 'limits.json');
+    const empty = { default: {}, roles: {}, users: {} };
+    if (!fs.existsSync(filePath)) return empty;
     
-    let content = '';
-    for (const part of parts) {
-        if (part.type === 'text') {
-            content += part.text || '';
-        }
+    try {
+        const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        console.log(`Loaded usage limits from ${filePath}`);
+        return { ...empty, ...config };
+    } catch (error) {
+        console.error(`Failed to load usage limits from ${filePath}:`, error.message);
+        return empty;
     }
-    return content.trim();
 }
 
-/**
- * Get the latest user prompt and assistant response pair from messages
- */
-function getLatestExchange(messages) {
-    let lastUserIdx = -1;
-    let lastAssistantIdx = -1;
-    
-    for (let i = messages.length - 1; i >= 0; i--) {
-        const msg = messages[i];
-        // Role can be at msg.role or msg.info.role depending on API response
-        const role = msg.role || msg.info?.role;
-        if (role === 'assistant' && lastAssistantIdx === -1) {
-            lastAssistantIdx = i;
-        }
-        if (role === 'user' && lastAssistantIdx !== -1) {
-            lastUserIdx = i;
-            break;
-        }
+const limitsConfig = loadLimitsConfig();
+
+// Most generous of several values for one field (null = unlimited wins)
+function mergeLimitValues(field, values) {
+    if (values.some(v => v === null || (field === 'models' && v.includes('*')))) return null;
+    return field === 'models' ? [...new Set(values.flat())] : Math.max(...values);
+}
+
+// Effective limits for a user: { promptsPerHour, dailyTokens, dailyCost, models }
+async function getUserLimits(userId) {
+    const limits = {};
+    for (const field of Object.keys(LIMIT_FIELDS)) {
+        limits[field] = limitsConfig.default[field] ?? null;
     }
     
-    if (lastUserIdx === -1 || lastAssistantIdx === -1) {
-        return null;
+    const roles = await getMemberRoles(userId);
+    const roleLimits = Object.entries(limitsConfig.roles)
+        .filter(([key]) => roles.some(role => role.id === key || role.name.toLowerCase() === key.toLowerCase()))
+        .map(([, roleConfig]) => roleConfig);
+    for (const field of Object.keys(LIMIT_FIELDS)) {
+        const values = roleLimits.filter(r => field in r).map(r => r[field]);
+        if (values.length > 0) limits[field] = mergeLimitValues(field, values);
     }
     
+    return { ...limits, ...limitsConfig.users[userId], ...limitOverrides.get(userId) };
+}
+
+// Model allow-list entries are exact IDs or prefixes ending in * (e.g. "opencode/*")
+function isModelAllowed(limits, modelStr) {
+    if (!limits.models) return true;
+    return limits.models.some(pattern =>
+        pattern.endsWith('*') ? modelStr.startsWith(pattern.slice(0, -1)) : pattern === modelStr
+    );
+}
+
+// Discord timestamp, e.g. "at 14:00 (in 23 minutes)" in the reader's timezone
+function formatResetTime(time) {
+    const seconds = Math.ceil(time / 1000);
+    return `<t:${seconds}:t> (<t:${seconds}:R>)`;
+}
+
+// Prompts in the last hour, plus tokens and cost so far today (UTC)
+function getLimitUsage(userId) {
+    const now = Date.now();
+    const recent = (promptTimestamps.get(userId) || []).filter(t => now - t < HOUR_MS);
+    promptTimestamps.set(userId, recent);
+    
+    const today = sumUsage(getUsageEntries('day', userId))[0]?.[1];
     return {
-        userMessage: messages[lastUserIdx],
-        assistantMessage: messages[lastAssistantIdx]
+        recent,
+        // Cache reads are cheap and would dominate the count, so they don't count toward the budget
+        tokens: today ? today.input + today.output + today.reasoning + today.cacheWrite : 0,
+        cost: today?.cost || 0
     };
 }
 
-/**
- * Handle session.idle event - sync terminal session to Discord
- */
-async function handleSessionIdle(sessionId) {
-    // Skip sessions initiated from Discord (they're already in Discord)
-    if (discordInitiatedSessions.has(sessionId)) {
-        console.log(`Skipping sync for Discord-initiated session: ${sessionId.slice(0, 8)}`);
+// Check a prompt against the user's limits (countPrompt counts it once it's accepted).
+// Returns { allowed: true } or { allowed: false, reason }
+async function checkPromptLimits(userId, modelStr) {
+    const limits = await getUserLimits(userId);
+    
+    if (!isModelAllowed(limits, modelStr)) {
+        return {
+            allowed: false,
+            reason: `🚫 You're not allowed to use \`${modelStr}\`.\n\n` +
+                `Allowed models: ${limits.models.map(m => `\`${m}\``).join(', ') || 'none'}\n` +
+                `Pick one with \`/model\`.`
+        };
+    }
+    
+    const { recent, tokens, cost } = getLimitUsage(userId);
+    const midnight = new Date().setUTCHours(24, 0, 0, 0);
+    
+    if (limits.promptsPerHour !== null && recent.length >= limits.promptsPerHour) {
+        return {
+            allowed: false,
+            reason: `⏳ You've reached your limit of **${limits.promptsPerHour} prompts per hour**.\n\n` +
+                `You can send another ${formatResetTime(recent[0] + HOUR_MS)}.`
+        };
+    }
+    if (limits.dailyTokens !== null && tokens >= limits.dailyTokens) {
+        return {
+            allowed: false,
+            reason: `⏳ You've used your daily budget of **${formatTokens(limits.dailyTokens)} tokens**.\n\n` +
+                `It resets ${formatResetTime(midnight)}.`
+        };
+    }
+    if (limits.dailyCost !== null && cost >= limits.dailyCost) {
+        return {
+            allowed: false,
+            reason: `⏳ You've used your daily budget of **${formatCost(limits.dailyCost)}**.\n\n` +
+                `It resets ${formatResetTime(midnight)}.`
+        };
+    }
+    
+    return { allowed: true };
+}
+
+// Count a prompt toward the user's hourly limit. Returns a function that takes it back.
+function countPrompt(userId) {
+    const time = Date.now();
+    promptTimestamps.set(userId, [...(promptTimestamps.get(userId) || []), time]);
+    return () => {
+        const recent = promptTimestamps.get(userId) || [];
+        const index = recent.indexOf(time);
+        if (index !== -1) promptTimestamps.set(userId, recent.filter((_, i) => i !== index));
+    };
+}
+
+// ============================================
+// Audit Log
+// ============================================
+// Every prompt and privileged action (model and agent changes, session switches,
+// undo/redo and aborts, access, config and limit changes, permission answers) is
+// appended as one JSON line to AUDIT_LOG_FILE. Prompts are stored as a SHA-256 hash plus an excerpt of
+// AUDIT_PROMPT_EXCERPT characters (0 = hash only). Admins search it with /audit.
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE
+    ? path.resolve(__dirname, process.env.AUDIT_LOG_FILE)
+    : path.join(__dirname, 'data', 'audit.jsonl');
+const AUDIT_PROMPT_EXCERPT = parseInt(process.env.AUDIT_PROMPT_EXCERPT ?? '200', 10) || 0;
+
+// Append stream to AUDIT_LOG_FILE, opened on the first entry
+let auditStream = null;
+
+// Append an entry: action plus { userId, guildId, channelId, sessionId, model, ... }
+function writeAudit(action, fields = {}) {
+    const entry = { at: new Date().toISOString(), action, ...fields };
+    try {
+        if (!auditStream) {
+            fs.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+            auditStream = fs.createWriteStream(AUDIT_LOG_FILE, { flags: 'a' });
+            auditStream.on('error', (error) => {
+                console.error('Failed to write audit log:', error.message);
+                auditStream = null; // Reopen on the next entry
+            });
+        }
+        auditStream.write(JSON.stringify(entry) + '\n');
+    } catch (error) {
+        console.error('Failed to write audit log:', error.message);
+    }
+}
+
+// Who and where for an interaction or message (DMs are attributed to the user's guild)
+function getAuditContext(source) {
+    const userId = source.user?.id || source.author?.id;
+    return {
+        userId,
+        guildId: source.guildId || getUserGuildId(userId),
+        channelId: source.channelId
+    };
+}
+
+// Hash and excerpt of a prompt's text parts, plus the number of attached files
+function describePrompt(parts) {
+    const text = parts.filter(p => p.type === 'text').map(p => p.text).join('\n');
+    const files = parts.filter(p => p.type === 'file').length;
+    return {
+        promptHash: crypto.createHash('sha256').update(text).digest('hex'),
+        ...(AUDIT_PROMPT_EXCERPT > 0 && { excerpt: text.slice(0, AUDIT_PROMPT_EXCERPT) }),
+        ...(files > 0 && { files })
+    };
+}
+
+// Audit status of a finished prompt
+function getPromptStatus(data, error) {
+    if (error instanceof PromptAbortedError) return 'aborted';
+    if (error instanceof PromptCancelledError) return 'cancelled';
+    if (error instanceof PromptLimitError) return 'limited';
+    if (error || data?.info?.error) return 'error';
+    return 'ok';
+}
+
+// Read audit entries matching a filter ({ guildId, userId, day, sessionId, action }), oldest first
+async function searchAudit(filter) {
+    if (!fs.existsSync(AUDIT_LOG_FILE)) return [];
+    
+    const entries = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(AUDIT_LOG_FILE), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            continue; // Skip a line cut short by a crash
+        }
+        if (filter.guildId && entry.guildId !== filter.guildId) continue;
+        if (filter.userId && entry.userId !== filter.userId) continue;
+        if (filter.day && !entry.at.startsWith(filter.day)) continue;
+        if (filter.sessionId && !entry.sessionId?.startsWith(filter.sessionId)) continue;
+        if (filter.action && entry.action.split('.')[0] !== filter.action) continue;
+        entries.push(entry);
+    }
+    return entries;
+}
+
+// One line of /audit output
+function formatAuditEntry(entry) {
+    const time = `<t:${Math.floor(Date.parse(entry.at) / 1000)}:f>`;
+    const details = [
+        entry.sessionId && `session \`${entry.sessionId.slice(0, 8)}\``,
+        entry.model && `\`${entry.model}\``,
+        entry.action === 'agent.change' && `agent \`${entry.agent || 'default'}\``,
+        entry.status && entry.status !== 'ok' && `**${entry.status}**`,
+        entry.durationMs !== undefined && entry.durationMs !== null && `${(entry.durationMs / 1000).toFixed(1)}s`,
+        entry.targetId && `<@${entry.targetId}>`,
+        entry.setting && `${entry.setting}: \`${String(entry.value ?? 'default').slice(0, 60)}\``
+    ].filter(Boolean).join(' · ');
+    const excerpt = entry.excerpt ? `\n> ${entry.excerpt.slice(0, 80).replace(/\s+/g, ' ')}` : '';
+    return `${time} <@${entry.userId}> \`${entry.action}\`${details ? ` - ${details}` : ''}${excerpt}`;
+}
+
+// ============================================
+// Prompt Queue
+// ============================================
+// Prompts to the same OpenCode session run one at a time so responses never interleave.
+// sessionId -> { running: boolean, current: item | null, items: [{ id, userId, task, resolve, reject, onStart }] }
+const promptQueues = new Map();
+let nextQueueItemId = 1;
+
+// Run `task` once every earlier prompt for the session has finished.
+// options: { userId, onQueued(position, itemId), onStart() }
+function enqueuePrompt(sessionId, task, options = {}) {
+    let queue = promptQueues.get(sessionId);
+    if (!queue) {
+        queue = { running: false, current: null, items: [] };
+        promptQueues.set(sessionId, queue);
+    }
+    
+    return new Promise((resolve, reject) => {
+        const item = {
+            id: String(nextQueueItemId++),
+            userId: options.userId,
+            task,
+            resolve,
+            reject,
+            onStart: options.onStart
+        };
+        queue.items.push(item);
+        
+        if (queue.running) {
+            console.log(`Queued prompt #${queue.items.length} for session ${sessionId.slice(0, 8)}`);
+            options.onQueued?.(queue.items.length, item.id);
+        }
+        processPromptQueue(sessionId);
+    });
+}
+
+async function processPromptQueue(sessionId) {
+    const queue = promptQueues.get(sessionId);
+    if (!queue || queue.running) return;
+    
+    const item = queue.items.shift();
+    if (!item) {
+        promptQueues.delete(sessionId);
         return;
     }
     
-    console.log(`Session idle event for: ${sessionId.slice(0, 8)}`);
+    queue.running = true;
+    queue.current = item;
+    try {
+        await item.onStart?.();
+        item.resolve(await item.task());
+    } catch (error) {
+        item.reject(error);
+    } finally {
+        queue.running = false;
+        queue.current = null;
+        processPromptQueue(sessionId);
+    }
+}
+
+// Discord user whose prompt is currently running in a session (if any)
+function getRunningPromptUser(sessionId) {
+    return promptQueues.get(sessionId)?.current?.userId || null;
+}
+
+// Find a waiting (not yet running) queue item by ID
+function findQueuedPrompt(itemId) {
+    for (const [sessionId, queue] of promptQueues) {
+        const item = queue.items.find(i => i.id === itemId);
+        if (item) return { sessionId, queue, item };
+    }
+    return null;
+}
+
+// Remove a waiting prompt from its queue. Returns false if it already started or finished.
+function cancelQueuedPrompt(itemId) {
+    const found = findQueuedPrompt(itemId);
+    if (!found) return false;
+    
+    found.queue.items = found.queue.items.filter(i => i !== found.item);
+    found.item.reject(new PromptCancelledError(found.sessionId));
+    return true;
+}
+
+// Queue options for a Discord message: replies "Queued #N" with a Cancel button
+// while waiting, and removes that notice once the prompt starts
+function createQueueNotice(message) {
+    let notice = null;
+    return {
+        userId: message.author.id,
+        onQueued(position, itemId) {
+            const cancelRow = new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`queue_cancel_${itemId}`)
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+            notice = message.reply({
+                content: `Queued #${position} - waiting for the current prompt in this session to finish.`,
+                components: [cancelRow]
+            }).catch(error => {
+                console.error('Failed to post queue notice:', error.message);
+                return null;
+            });
+        },
+        async onStart() {
+            const sent = await notice;
+            await sent?.delete().catch(() => {});
+        }
+    };
+}
+
+// Send prompt to OpenCode and get response (queued behind other prompts for the session)
+// options.live: a live reply (createLiveReply) that streams output while the prompt runs
+// options.queue: enqueuePrompt options, e.g. createQueueNotice(message)
+// options.agent: OpenCode agent to run the prompt with (omitted = server default)
+// options.userId: Discord user the response's tokens and cost are recorded against,
+//   and whose limits (checkPromptLimits) the prompt must pass before it is queued.
+//   It counts toward their hourly limit unless it's cancelled or fails.
+// options.audit: { guildId, channelId, source } written with the prompt's audit entry
+function sendPrompt(sessionId, parts, modelObj, options = {}) {
+    const model = `${modelObj.providerID}/${modelObj.modelID}`;
+    let startedAt = null;
+    const finish = (data, error) => writeAudit('prompt', {
+        ...options.audit,
+        userId: options.userId,
+        sessionId,
+        model,
+        ...(options.agent && { agent: options.agent }),
+        ...describePrompt(parts),
+        status: getPromptStatus(data, error),
+        ...(error && !(error instanceof PromptCancelledError || error instanceof PromptLimitError) && { error: error.message }),
+        durationMs: startedAt ? Date.now() - startedAt : null
+    });
+    
+    const task = () => {
+        startedAt = Date.now();
+        return runPrompt(sessionId, parts, modelObj, options);
+    };
+    // Limits are checked against the model that will actually run (e.g. the vision model for images)
+    const limitCheck = options.userId ? checkPromptLimits(options.userId, model) : Promise.resolve({ allowed: true });
+    let uncount = null;
+    return limitCheck.then(check => {
+        if (!check.allowed) throw new PromptLimitError(check.reason);
+        // Counted while queued so queued prompts can't get past the limit together
+        if (options.userId) uncount = countPrompt(options.userId);
+        return enqueuePrompt(sessionId, task, options.queue);
+    }).then(
+        data => { finish(data, null); return data; },
+        error => {
+            // An aborted prompt still ran the model; a cancelled or failed one doesn't count
+            if (!(error instanceof PromptAbortedError)) uncount?.();
+            finish(null, error);
+            throw error;
+        }
+    );
+}
+
+async function runPrompt(sessionId, parts, modelObj, options = {}) {
+    const { live, agent } = options;
+    runningPrompts.add(sessionId);
+    const steps = new Map();
+    promptSteps.set(sessionId, steps);
+    if (live) await startLiveReply(sessionId, live);
     
+    let data = null;
+    let failure = null;
     try {
-        // Get messages for this session
-        const messagesResult = await opencode.session.messages({
-            path: { id: sessionId }
+        const result = await getSessionClient(sessionId).session.prompt({
+            path: { id: sessionId },
+            body: { 
+                parts,
+                model: modelObj,
+                ...(agent && { agent })
+            }
         });
         
-        // Debug: log raw result structure
-        console.log(`Messages result keys: ${Object.keys(messagesResult || {}).join(', ')}`);
-        
-        // Messages might be in .data or directly in the result
-        let messages = messagesResult.data || messagesResult || [];
-        if (!Array.isArray(messages)) {
-            // If it's an object with values, try to get the array
-            if (typeof messages === 'object') {
-                messages = Object.values(messages);
-            }
+        if (result?.error) {
+            throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
         }
         
-        console.log(`Session ${sessionId.slice(0, 8)} has ${messages.length} messages`);
-        if (messages.length === 0) {
-            console.log(`No messages in session ${sessionId.slice(0, 8)}`);
-            return;
+        data = result?.data;
+    } catch (error) {
+        failure = error;
+    } finally {
+        // Sync thread replies post their own exchange - keep the idle sync from mirroring it again
+        if (sessionToThread.has(sessionId)) await recordThreadPrompt(sessionId, data);
+        runningPrompts.delete(sessionId);
+        if (promptSteps.get(sessionId) === steps) promptSteps.delete(sessionId);
+    }
+    
+    const aborted = abortedSessions.delete(sessionId) || data?.info?.error?.name === 'MessageAbortedError';
+    if (data?.info && options.userId) recordUsage(options.userId, sessionId, getPromptUsageInfo(steps, data.info));
+    if (live) await finishLiveReply(live, aborted ? 'Aborted - partial output kept' : null);
+    
+    if (aborted) throw new PromptAbortedError(sessionId, extractResponseText(data));
+    if (failure) throw failure;
+    return data;
+}
+
+// Remember the user message of a prompt sent to a synced session. Without a response
+// (aborted or failed) it's the newest user message the sync marker hasn't passed yet.
+async function recordThreadPrompt(sessionId, data) {
+    let messageId = data?.info?.parentID;
+    if (!messageId) {
+        try {
+            const unsynced = getUnsyncedMessages(await fetchSessionMessages(sessionId), lastSyncedMessages.get(sessionId), true);
+            messageId = unsynced.findLast(m => m.info?.role === 'user')?.info?.id;
+        } catch (error) {
+            console.error(`Failed to look up thread prompt in session ${sessionId.slice(0, 8)}:`, error.message);
         }
+    }
+    if (messageId) threadPromptMessages.add(messageId);
+}
+
+// Abort the prompt running in a session. Returns false if the API refused.
+async function abortSession(sessionId) {
+    if (runningPrompts.has(sessionId)) {
+        abortedSessions.add(sessionId);
+    }
+    
+    const result = await getSessionClient(sessionId).session.abort({ path: { id: sessionId } });
+    if (result?.error) {
+        abortedSessions.delete(sessionId);
+        throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
+    }
+    return result?.data !== false;
+}
+
+// ============================================
+// Live Response Streaming
+// ============================================
+// While a prompt runs, text deltas from the global event stream are rendered
+// into a single Discord message that is edited in place.
+const LIVE_EDIT_INTERVAL = 1500; // Min ms between edits of one message (Discord rate limits)
+const LIVE_MAX_LENGTH = 1900;
+const LIVE_PLACEHOLDER = '⏳ Working...';
+// sessionId -> live reply currently streaming for that session
+const liveReplies = new Map();
+
+// Create a live reply. `send(payload)` posts the first message and must resolve to it.
+function createLiveReply(send) {
+    return {
+        send,
+        sessionId: null,
+        message: null,       // Discord message being edited (null if it couldn't be posted)
+        lastContent: null,
+        lastEditAt: 0,
+        timer: null,
+        pending: Promise.resolve(),
+        assistantMessageIds: new Set(),
+        partTexts: new Map() // partId -> { messageId, text }, in arrival order
+    };
+}
+
+// Stop button shown on a live reply while the prompt runs
+function buildStopRow(sessionId) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`abort_${sessionId}`)
+            .setLabel('Stop')
+            .setStyle(ButtonStyle.Danger)
+    );
+}
+
+// Register the live reply and post its in-progress placeholder
+async function startLiveReply(sessionId, live) {
+    live.sessionId = sessionId;
+    liveReplies.set(sessionId, live);
+    
+    try {
+        live.message = await live.send({ content: LIVE_PLACEHOLDER, components: [buildStopRow(sessionId)] });
+        live.lastContent = LIVE_PLACEHOLDER;
+        live.lastEditAt = Date.now();
+    } catch (error) {
+        console.error('Failed to post live reply:', error.message);
+    }
+}
+
+// Current streamed assistant text for a live reply
+function getLiveText(live) {
+    return [...live.partTexts.values()]
+        .filter(p => live.assistantMessageIds.has(p.messageId))
+        .map(p => p.text)
+        .join('\n')
+        .trim();
+}
+
+// Edit the live message (serialized so edits never overlap).
+// The final render drops the Stop button and can append a status note.
+function renderLiveReply(live, final = false, note = null) {
+    live.pending = live.pending.then(async () => {
+        if (!live.message) return;
         
-        // Debug: log message roles (check structure)
-        const roles = messages.map(m => m.role || m.info?.role || '?').join(', ');
-        console.log(`Message roles (first 10): ${roles.split(', ').slice(0, 10).join(', ')}`);
-        
-        // Debug: log first message structure
-        if (messages.length > 0) {
-            console.log(`First message keys: ${Object.keys(messages[0]).join(', ')}`);
+        const text = getLiveText(live);
+        const tail = text.length > LIVE_MAX_LENGTH ? '...' + text.slice(-LIVE_MAX_LENGTH) : text;
+        let content = tail || live.lastContent;
+        if (note) {
+            content = tail ? `${tail}\n\n*${note}*` : `*${note}*`;
+        } else if (tail && !final) {
+            content = `${tail}\n\n*Generating...*`;
         }
-        console.log(`Message roles: ${roles}`);
+        if (!final && content === live.lastContent) return;
         
-        const exchange = getLatestExchange(messages);
-        if (!exchange) {
-            console.log(`No complete exchange in session ${sessionId.slice(0, 8)}`);
-            return;
+        try {
+            await live.message.edit({
+                content,
+                components: final ? [] : [buildStopRow(live.sessionId)]
+            });
+            live.lastContent = content;
+            live.lastEditAt = Date.now();
+        } catch (error) {
+            console.error('Failed to update live reply:', error.message);
         }
-        
-        const userContent = extractMessageContent(exchange.userMessage);
-        const assistantContent = extractMessageContent(exchange.assistantMessage);
-        
-        if (!userContent && !assistantContent) {
-            return;
+    });
+    return live.pending;
+}
+
+// Throttle renders to at most one per LIVE_EDIT_INTERVAL
+function scheduleLiveRender(live) {
+    if (live.timer) return;
+    const delay = Math.max(0, live.lastEditAt + LIVE_EDIT_INTERVAL - Date.now());
+    live.timer = setTimeout(() => {
+        live.timer = null;
+        renderLiveReply(live);
+    }, delay);
+}
+
+// Stop streaming and flush the partial output without the progress marker
+async function finishLiveReply(live, note = null) {
+    for (const [sessionId, entry] of liveReplies) {
+        if (entry === live) liveReplies.delete(sessionId);
+    }
+    if (live.timer) {
+        clearTimeout(live.timer);
+        live.timer = null;
+    }
+    await renderLiveReply(live, true, note);
+}
+
+// Edit the live message into the final reply, or send a new reply if nothing was streamed
+// `payload` is either message content or a full message options object.
+async function sendFinalReply(live, send, payload) {
+    if (live?.message) {
+        if (typeof payload === 'string') {
+            if (payload !== live.lastContent) {
+                await live.message.edit({ content: payload, components: [] });
+                live.lastContent = payload;
+            }
+        } else {
+            await live.message.edit({ content: '', components: [], ...payload });
+            live.lastContent = payload.content || '';
         }
-        
-        // Check if we already posted this exact content (dedup)
-        const lastPosted = lastPostedContent.get(sessionId);
-        if (lastPosted && 
-            lastPosted.userContent === userContent && 
-            lastPosted.assistantContent === assistantContent) {
-            console.log(`Already posted this content for session ${sessionId.slice(0, 8)}`);
-            return;
+        return live.message;
+    }
+    return send(payload);
+}
+
+// Feed message/part events from the global event stream into live replies (and prompt usage)
+function handleLiveEvent(eventType, properties) {
+    if (eventType === 'message.updated') {
+        const info = properties?.info;
+        // Keep each step's tokens so usage doesn't need to refetch the session afterwards
+        if (info?.role === 'assistant') promptSteps.get(info.sessionID)?.set(info.id, info);
+        const live = info && liveReplies.get(info.sessionID);
+        if (live && info.role === 'assistant') {
+            live.assistantMessageIds.add(info.id);
+            scheduleLiveRender(live);
         }
+        return;
+    }
+    
+    // message.part.updated carries the full part (and sometimes a delta)
+    if (eventType === 'message.part.updated') {
+        const part = properties?.part;
+        const live = part && liveReplies.get(part.sessionID);
+        if (!live || part.type !== 'text') return;
         
-        // Get or create thread for this session
-        let threadId = sessionToThread.get(sessionId);
+        const previous = live.partTexts.get(part.id)?.text || '';
+        const text = typeof part.text === 'string' ? part.text : previous + (properties.delta || '');
+        live.partTexts.set(part.id, { messageId: part.messageID, text });
+        scheduleLiveRender(live);
+        return;
+    }
+    
+    // message.part.delta carries only the appended text for one field of a part
+    if (eventType === 'message.part.delta') {
+        const live = properties && liveReplies.get(properties.sessionID);
+        if (!live || properties.field !== 'text') return;
         
-        if (!threadId) {
-            const threadName = userContent.slice(0, 50) || 'OpenCode Session';
-            console.log(`Creating sync thread: "${threadName}" for session ${sessionId.slice(0, 8)}`);
-            
-            const thread = await createSyncThread(sessionId, threadName, process.cwd());
-            if (!thread) {
-                console.error('Failed to create sync thread');
-                return;
-            }
-            threadId = thread.id;
+        const previous = live.partTexts.get(properties.partID)?.text || '';
+        live.partTexts.set(properties.partID, {
+            messageId: properties.messageID,
+            text: previous + (properties.delta || '')
+        });
+        scheduleLiveRender(live);
+    }
+}
+
+// Extract text from OpenCode response
+function extractResponseText(response) {
+    let responseText = '';
+    
+    if (response && response.parts) {
+        responseText = response.parts
+            .filter(p => p.type === 'text')
+            .map(p => p.text)
+            .join('\n');
+    } else if (response && response.content) {
+        if (typeof response.content === 'string') {
+            responseText = response.content;
+        } else if (Array.isArray(response.content)) {
+            responseText = response.content
+                .filter(p => p.type === 'text')
+                .map(p => p.text)
+                .join('\n');
+        }
+    }
+    
+    return responseText;
+}
+
+// ============================================
+// Tool Call Rendering
+// ============================================
+// Tool parts (bash, read, edit, ...) from a response are shown as embeds.
+// How much is shown depends on the user's `tools` preference (off | summary | full).
+const TOOL_VERBOSITY = {
+    off: 'Hidden',
+    summary: 'One-line summary per tool',
+    full: 'Details with output excerpts'
+};
+const TOOL_OUTPUT_EXCERPT = 900;
+
+// Get tool parts from an OpenCode response
+function extractToolCalls(response) {
+    const parts = response?.parts || (Array.isArray(response?.content) ? response.content : []);
+    return parts.filter(p => p.type === 'tool');
+}
+
+// Normalize a tool part into what we display
+function describeToolCall(part) {
+    const state = part.state || {};
+    const input = state.input || {};
+    const exitCode = state.metadata?.exit ?? state.metadata?.exitCode ?? null;
+    
+    let icon = '⏳';
+    if (state.status === 'error' || (exitCode !== null && exitCode !== 0)) {
+        icon = '❌';
+    } else if (state.status === 'completed') {
+        icon = '✅';
+    }
+    
+    return {
+        tool: part.tool,
+        target: String(input.command || input.filePath || input.path || input.pattern || input.url || input.description || state.title || ''),
+        status: state.status || 'pending',
+        exitCode,
+        icon,
+        output: state.status === 'error' ? String(state.error || '') : String(state.output || '')
+    };
+}
+
+// Plain-text log of every tool call with its full output (for download)
+function formatToolOutput(toolParts) {
+    return toolParts.map(part => {
+        const call = describeToolCall(part);
+        const exit = call.exitCode !== null ? ` (exit ${call.exitCode})` : '';
+        return `## ${call.tool}: ${call.target}\nstatus: ${call.status}${exit}\n\n${call.output || '(no output)'}\n`;
+    }).join('\n');
+}
+
+// Keep text from closing our code block early
+function escapeCodeBlock(text) {
+    return text.replace(/`{3}/g, '` ` `');
+}
+
+// Split embeds into messages within Discord's limits (10 embeds and 6000 characters per message)
+function groupEmbeds(embeds, maxLength = 6000) {
+    const groups = [];
+    let group = [];
+    let length = 0;
+    for (const embed of embeds) {
+        const size = embedLength(embed.data);
+        if (group.length > 0 && (group.length === 10 || length + size > maxLength)) {
+            groups.push(group);
+            group = [];
+            length = 0;
+        }
+        group.push(embed);
+        length += size;
+    }
+    if (group.length > 0) groups.push(group);
+    return groups;
+}
+
+function buildToolEmbeds(toolParts, verbosity) {
+    const calls = toolParts.map(describeToolCall);
+    
+    if (verbosity === 'summary') {
+        const lines = calls.map(call => {
+            const exit = call.exitCode !== null ? ` (exit ${call.exitCode})` : '';
+            return `${call.icon} **${call.tool}** \`${call.target.replace(/`/g, "'").slice(0, 80)}\`${exit}`;
+        });
+        let description = lines.join('\n');
+        if (description.length > 4000) {
+            description = description.slice(0, 4000) + '\n...';
         }
         
-        // Post the message exchange to the thread
-        console.log(`Posting to thread ${threadId} for session ${sessionId.slice(0, 8)}`);
-        await postToSyncThread(threadId, userContent, assistantContent);
-        
-        // Track what we posted to avoid duplicates
-        lastPostedContent.set(sessionId, { userContent, assistantContent });
+        return [new EmbedBuilder()
+            .setColor(0x2B2D31)
+            .setTitle(`Tool calls (${calls.length})`)
+            .setDescription(description)];
+    }
+    
+    // Full: one embed per call (Discord allows 10 per message)
+    const embeds = calls.slice(0, 10).map(call => {
+        const embed = new EmbedBuilder()
+            .setColor(call.icon === '❌' ? 0xED4245 : 0x2B2D31)
+            .setTitle(`${call.icon} ${call.tool}`.slice(0, 256))
+            .setDescription(call.target ? `\`\`\`\n${escapeCodeBlock(call.target).slice(0, 1000)}\n\`\`\`` : '*No input*');
         
-    } catch (error) {
-        console.error(`Failed to sync session ${sessionId.slice(0, 8)}:`, error.message);
+        const fields = [{ name: 'Status', value: call.status, inline: true }];
+        if (call.exitCode !== null) {
+            fields.push({ name: 'Exit code', value: String(call.exitCode), inline: true });
+        }
+        if (call.output) {
+            // Escape first so the excerpt (and the field) stays within its limit
+            const output = escapeCodeBlock(call.output);
+            const excerpt = output.length > TOOL_OUTPUT_EXCERPT
+                ? output.slice(0, TOOL_OUTPUT_EXCERPT) + '\n...'
+                : output;
+            fields.push({ name: 'Output', value: `\`\`\`\n${excerpt}\n\`\`\``, inline: false });
+        }
+        return embed.addFields(fields);
+    });
+    
+    if (calls.length > 10) {
+        embeds[9].setFooter({ text: `... and ${calls.length - 10} more tool calls (download the full output)` });
     }
+    return embeds;
 }
 
-/**
- * Start global event subscription to sync terminal sessions to Discord
- */
-async function startGlobalEventSubscription() {
-    console.log('Starting global event subscription for session sync...');
+// Post the tool calls from a response, honouring the user's verbosity setting
+async function postToolCalls(send, userId, response, key) {
+    const verbosity = getUserPreference(userId, 'tools');
+    const toolParts = extractToolCalls(response);
+    if (verbosity === 'off' || toolParts.length === 0) return;
+    
+    storeResponse(`tools_${key}`, { toolOutput: formatToolOutput(toolParts) });
+    const downloadRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`tooloutput_${key}`)
+            .setLabel('Download tool output')
+            .setStyle(ButtonStyle.Secondary)
+    );
     
     try {
-        const eventStream = await opencode.global.event();
-        
-        console.log('Global event subscription established');
-        
-        // Process events from the stream
-        for await (const event of eventStream.stream) {
-            try {
-                // Events come wrapped in { payload: { type, properties } }
-                const payload = event?.payload || event;
-                const eventType = payload?.type;
-                
-                // Debug: log events (skip frequent ones like deltas)
-                if (eventType && !['message.part.delta', 'message.part.updated'].includes(eventType)) {
-                    console.log(`[SYNC] Event: ${eventType}`, JSON.stringify(payload.properties || {}).slice(0, 200));
-                }
-                
-                // Handle session becoming idle (via session.status event)
-                // session.status has: { sessionID, status: { type: "idle" | "busy" } }
-                if (eventType === 'session.status') {
-                    const sessionId = payload.properties?.sessionID;
-                    const statusType = payload.properties?.status?.type;
-                    if (sessionId && statusType === 'idle') {
-                        console.log(`[SYNC] Session ${sessionId.slice(0, 8)} became idle`);
-                        // Use setTimeout to avoid blocking the event loop
-                        setTimeout(() => handleSessionIdle(sessionId), 100);
-                    }
-                }
-                
-                // Handle session.deleted - clean up mappings
-                if (eventType === 'session.deleted') {
-                    const sessionId = payload.properties?.sessionId;
-                    if (sessionId) {
-                        sessionToThread.delete(sessionId);
-                        lastPostedContent.delete(sessionId);
-                        discordInitiatedSessions.delete(sessionId);
-                        // Note: we don't delete threadToSession so replies still work
-                    }
+        // Full verbosity can exceed one message - the download button goes on the last
+        const groups = groupEmbeds(buildToolEmbeds(toolParts, verbosity));
+        for (let i = 0; i < groups.length; i++) {
+            await send({ embeds: groups[i], components: i === groups.length - 1 ? [downloadRow] : [] });
+        }
+    } catch (error) {
+        console.error('Failed to post tool calls:', error.message);
+    }
+}
+
+// ============================================
+// File Changes
+// ============================================
+// The changelog is built from structured data: the session's diff for the
+// turn, or (if that isn't available yet) the edit/write/patch parts of the response.
+// The LCS table is n * m cells and runs on the event loop - keep both bounded
+const MAX_LCS_CELLS = 250000; // Above this, a changed region is shown as a full replace
+const MAX_DIFF_FILE_SIZE = 512 * 1024; // Chars of before + after above which a file isn't diffed at all
+
+// Line-level diff of two arrays of lines -> [{ type: ' ' | '-' | '+', line }]
+function diffLines(a, b) {
+    // Trim the common prefix/suffix so the LCS only covers the changed region
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    
+    const ops = a.slice(0, start).map(line => ({ type: ' ', line }));
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    
+    if (midA.length * midB.length > MAX_LCS_CELLS) {
+        ops.push(...midA.map(line => ({ type: '-', line })), ...midB.map(line => ({ type: '+', line })));
+    } else {
+        const n = midA.length;
+        const m = midB.length;
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (midA[i] === midB[j]) {
+                ops.push({ type: ' ', line: midA[i] });
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                ops.push({ type: '-', line: midA[i++] });
+            } else {
+                ops.push({ type: '+', line: midB[j++] });
+            }
+        }
+        while (i < n) ops.push({ type: '-', line: midA[i++] });
+        while (j < m) ops.push({ type: '+', line: midB[j++] });
+    }
+    
+    ops.push(...a.slice(endA).map(line => ({ type: ' ', line })));
+    return ops;
+}
+
+// Split file contents into lines (a trailing newline doesn't start another line)
+function splitLines(text) {
+    if (!text) return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+// Build a unified diff for one file from its before/after contents ('' if unchanged)
+function createUnifiedDiff(file, before, after, context = 3) {
+    if (before.length + after.length > MAX_DIFF_FILE_SIZE) {
+        return `${before ? `--- a/${file}` : '--- /dev/null'}\n${after ? `+++ b/${file}` : '+++ /dev/null'}\n` +
+            `@@ File too large to diff (${before.length} -> ${after.length} chars) @@\n`;
+    }
+    
+    const ops = diffLines(splitLines(before), splitLines(after));
+    
+    // Number every op with its position in the old and new file
+    let oldNo = 1;
+    let newNo = 1;
+    for (const op of ops) {
+        op.oldNo = oldNo;
+        op.newNo = newNo;
+        if (op.type !== '+') oldNo++;
+        if (op.type !== '-') newNo++;
+    }
+    
+    // Group changes that are within 2 * context lines of each other into hunks
+    const ranges = [];
+    ops.forEach((op, idx) => {
+        if (op.type === ' ') return;
+        const from = Math.max(0, idx - context);
+        const to = Math.min(ops.length - 1, idx + context);
+        const last = ranges[ranges.length - 1];
+        if (last && from <= last.to + 1) {
+            last.to = to;
+        } else {
+            ranges.push({ from, to });
+        }
+    });
+    
+    if (ranges.length === 0) return '';
+    
+    const lines = [
+        before ? `--- a/${file}` : '--- /dev/null',
+        after ? `+++ b/${file}` : '+++ /dev/null'
+    ];
+    for (const { from, to } of ranges) {
+        const hunk = ops.slice(from, to + 1);
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        const oldStart = oldCount === 0 ? hunk[0].oldNo - 1 : hunk[0].oldNo;
+        const newStart = newCount === 0 ? hunk[0].newNo - 1 : hunk[0].newNo;
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        lines.push(...hunk.map(op => op.type + op.line));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Classify a FileDiff as create / edit / delete
+function getFileDiffAction(fileDiff) {
+    if (!fileDiff.before && fileDiff.after) return 'create';
+    if (fileDiff.before && !fileDiff.after) return 'delete';
+    return 'edit';
+}
+
+// Convert OpenCode FileDiffs into changelog entries plus one combined unified diff
+function summarizeFileDiffs(fileDiffs) {
+    const changes = fileDiffs.map(d => ({
+        file: d.file,
+        action: getFileDiffAction(d),
+        additions: d.additions ?? 0,
+        deletions: d.deletions ?? 0
+    }));
+    const diff = fileDiffs
+        .map(d => createUnifiedDiff(d.file, d.before || '', d.after || ''))
+        .join('');
+    return { changes, diff };
+}
+
+// Get the session's file diff (optionally only for the turn started by messageId)
+async function getSessionDiff(sessionId, messageId = null) {
+    const result = await getSessionClient(sessionId).session.diff({
+        path: { id: sessionId },
+        query: messageId ? { messageID: messageId } : undefined
+    });
+    if (result?.error) {
+        throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
+    }
+    return Array.isArray(result?.data) ? result.data : [];
+}
+
+// File changes derived from the edit/write/patch parts of a response
+function extractToolFileChanges(response) {
+    const root = response?.info?.path?.root;
+    const relative = (file) => (root && file.startsWith(root + '/') ? file.slice(root.length + 1) : file);
+    const byFile = new Map();
+    const diffs = [];
+    
+    for (const part of response?.parts || []) {
+        if (part.type === 'patch') {
+            for (const file of part.files || []) {
+                if (!byFile.has(relative(file))) {
+                    byFile.set(relative(file), { file: relative(file), action: 'edit', additions: 0, deletions: 0 });
                 }
-            } catch (eventError) {
-                console.error('Error processing event:', eventError.message);
             }
+            continue;
+        }
+        
+        if (part.type !== 'tool' || part.state?.status !== 'completed') continue;
+        const input = part.state.input || {};
+        const metadata = part.state.metadata || {};
+        if (!['write', 'edit', 'multiedit'].includes(part.tool) || !input.filePath) continue;
+        
+        const file = relative(input.filePath);
+        if (metadata.filediff) {
+            byFile.set(file, {
+                file,
+                action: getFileDiffAction(metadata.filediff),
+                additions: metadata.filediff.additions ?? 0,
+                deletions: metadata.filediff.deletions ?? 0
+            });
+        } else if (part.tool === 'write') {
+            const lineCount = String(input.content || '').split('\n').length;
+            byFile.set(file, { file, action: metadata.exists ? 'edit' : 'create', additions: lineCount, deletions: 0 });
+        } else if (!byFile.has(file)) {
+            byFile.set(file, { file, action: 'edit', additions: 0, deletions: 0 });
+        }
+        
+        if (typeof metadata.diff === 'string') {
+            diffs.push(metadata.diff.endsWith('\n') ? metadata.diff : metadata.diff + '\n');
+        }
+    }
+    
+    return { changes: [...byFile.values()], diff: diffs.join('') };
+}
+
+// Get the files a response changed, preferring the session diff for that turn
+async function getResponseFileChanges(sessionId, response) {
+    const userMessageId = response?.info?.parentID;
+    if (userMessageId) {
+        try {
+            const fileDiffs = await getSessionDiff(sessionId, userMessageId);
+            if (fileDiffs.length > 0) return summarizeFileDiffs(fileDiffs);
+        } catch (error) {
+            console.error('Failed to load session diff:', error.message);
+        }
+    }
+    return extractToolFileChanges(response);
+}
+
+// Post a changelog entry for the files a response changed (if any)
+async function postResponseChangelog(userId, sessionId, response, responseText) {
+    const { changes, diff } = await getResponseFileChanges(sessionId, response);
+    if (changes.length === 0) return;
+    
+    // Create a brief summary (first 200 chars of response)
+    const summary = responseText
+        ? responseText.slice(0, 200) + (responseText.length > 200 ? '...' : '')
+        : '*No text response*';
+    await postChangelog(userId, summary, changes, { diff });
+}
+
+// Post to changelog channel
+// changes: [{ file, action: 'create' | 'edit' | 'delete', additions, deletions }]
+// options.diff: unified diff to attach; options.action: overrides the action derived from changes
+async function postChangelog(userId, taskSummary, changes, options = {}) {
+    const guildId = getUserGuildId(userId);
+    const guild = await getGuild(guildId);
+    if (!guild) return;
+    
+    const channelName = getGuildConfig(guildId).changelogChannel;
+    
+    // Find changelog channel by name or ID
+    let channel = guild.channels.cache.find(ch => 
+        ch.name === channelName || ch.id === channelName
+    );
+    
+    // Create channel if it doesn't exist
+    if (!channel) {
+        try {
+            channel = await guild.channels.create({
+                name: channelName,
+                type: ChannelType.GuildText,
+                topic: 'Codebase changes made via OpenDiscord bot',
+                reason: 'OpenDiscord changelog channel'
+            });
+            console.log(`Created changelog channel: #${channelName}`);
+        } catch (error) {
+            console.error('Failed to create changelog channel:', error.message);
+            return;
+        }
+    }
+    
+    // Determine color and title based on action (mixed actions use the default)
+    const actions = new Set(changes.map(c => c.action));
+    const action = options.action || (actions.size === 1 ? [...actions][0] : 'update');
+    let color = 0x5865F2; // Discord blurple (default)
+    let title = 'Codebase Update';
+    
+    if (action === 'create') {
+        color = 0x57F287; // Green
+        title = 'Files Created';
+    } else if (action === 'edit') {
+        color = 0xFEE75C; // Yellow
+        title = 'Files Modified';
+    } else if (action === 'delete') {
+        color = 0xED4245; // Red
+        title = 'Files Deleted';
+    } else if (action === 'revert') {
+        color = 0xEB459E; // Fuchsia
+        title = 'Changes Reverted';
+    } else if (action === 'restore') {
+        color = 0x57F287; // Green
+        title = 'Changes Restored';
+    }
+    
+    // Create changelog embed
+    const embed = new EmbedBuilder()
+        .setColor(color)
+        .setTitle(title)
+        .setDescription(taskSummary.length > 2000 ? taskSummary.slice(0, 2000) + '...' : taskSummary)
+        .addFields(
+            { name: 'Initiated by', value: `<@${userId}>`, inline: true },
+            { name: `Files Changed (${changes.length})`, value: formatChangedFiles(changes), inline: true }
+        )
+        .setTimestamp()
+        .setFooter({ text: 'OpenDiscord' });
+    
+    const files = options.diff
+        ? [new AttachmentBuilder(Buffer.from(options.diff, 'utf8'), { name: 'changes.diff' })]
+        : [];
+    
+    try {
+        await channel.send({ embeds: [embed], files });
+        console.log(`Posted changelog for user ${userId}: ${changes.length} files`);
+    } catch (error) {
+        console.error('Failed to post changelog:', error.message);
+    }
+    
+    return channel;
+}
+
+// Format changed files for an embed field, e.g. "`+src/app.js` (+12 -0)"
+function formatChangedFiles(changes, limit = 10) {
+    if (changes.length === 0) return 'No files detected';
+    
+    const symbols = { create: '+', edit: '~', delete: '-' };
+    const lines = changes.slice(0, limit).map(c =>
+        `\`${symbols[c.action] || ''}${c.file}\` (+${c.additions || 0} -${c.deletions || 0})`
+    );
+    if (changes.length > limit) {
+        lines.push(`... and ${changes.length - limit} more`);
+    }
+    
+    const value = lines.join('\n');
+    return value.length > 1024 ? value.slice(0, 1020) + '...' : value;
+}
+
+// Ensure a guild's changelog channel exists (default: the primary guild)
+async function ensureChangelogChannel(guildId = getPrimaryGuildId()) {
+    const guild = await getGuild(guildId);
+    if (!guild) return null;
+    
+    const channelName = getGuildConfig(guildId).changelogChannel;
+    
+    // Find changelog channel by name or ID
+    let channel = guild.channels.cache.find(ch => 
+        ch.name === channelName || ch.id === channelName
+    );
+    
+    // Create channel if it doesn't exist
+    if (!channel) {
+        try {
+            channel = await guild.channels.create({
+                name: channelName,
+                type: ChannelType.GuildText,
+                topic: 'Codebase changes made via OpenDiscord bot',
+                reason: 'OpenDiscord changelog channel'
+            });
+            console.log(`Created changelog channel on startup: #${channelName}`);
+            
+            // Send welcome message
+            const embed = new EmbedBuilder()
+                .setColor(0x5865F2)
+                .setTitle('OpenDiscord Changelog')
+                .setDescription('This channel logs all codebase changes made through the OpenDiscord bot.\n\nEach entry includes:\n- Who initiated the change\n- Summary of what was done\n- Files that were modified')
+                .setTimestamp()
+                .setFooter({ text: 'OpenDiscord initialized' });
+            
+            await channel.send({ embeds: [embed] });
+        } catch (error) {
+            console.error('Failed to create changelog channel on startup:', error.message);
+            return null;
+        }
+    }
+    
+    console.log(`Changelog channel ready: #${channel.name}`);
+    return channel;
+}
+
+// Ensure a guild's #opencode-sync channel exists for OpenCode session sync
+async function ensureSyncChannel(guildId = getPrimaryGuildId()) {
+    const guild = await getGuild(guildId);
+    if (!guild) return null;
+    
+    const channelName = getGuildConfig(guildId).syncChannel;
+    
+    // Find sync channel by name or ID
+    let channel = guild.channels.cache.find(ch => 
+        ch.name === channelName || ch.id === channelName
+    );
+    
+    // Create channel if it doesn't exist
+    if (!channel) {
+        try {
+            channel = await guild.channels.create({
+                name: channelName,
+                type: ChannelType.GuildText,
+                topic: 'OpenCode terminal session sync - threads mirror conversations',
+                reason: 'OpenCode sync channel for terminal sessions'
+            });
+            console.log(`Created sync channel: #${channelName}`);
+            
+            // Send welcome message
+            const embed = new EmbedBuilder()
+                .setColor(0x00D26A)
+                .setTitle('OpenCode Session Sync')
+                .setDescription('This channel syncs OpenCode terminal sessions to Discord threads.\n\n' +
+                    '**How it works:**\n' +
+                    '• Each OpenCode session creates a thread here\n' +
+                    '• User prompts and AI responses are posted to the thread\n' +
+                    '• Reply in a thread to send messages back to OpenCode\n\n' +
+                    '*Only sessions from the configured OpenCode server (port 4098) are synced.*')
+                .setTimestamp()
+                .setFooter({ text: 'OpenCode Sync initialized' });
+            
+            await channel.send({ embeds: [embed] });
+        } catch (error) {
+            console.error('Failed to create sync channel:', error.message);
+            return null;
+        }
+    }
+    
+    console.log(`Sync channel ready: #${channel.name}`);
+    syncChannels.set(guildId, channel);
+    return channel;
+}
+
+// Guild whose sync channel mirrors sessions from a backend (the first guild using it)
+function getSyncGuildId(backend = DEFAULT_OPENCODE_URL) {
+    return getConfiguredGuildIds().find(guildId => getGuildConfig(guildId).opencodeUrl === backend)
+        || getPrimaryGuildId();
+}
+
+// Starter embed field holding a sync thread's full session ID
+const SYNC_SESSION_FIELD = 'Session ID';
+
+// Session ID in a sync thread's starter embed. Threads created before the ID
+// was stored only show an 8 character prefix - that is matched against the
+// backend's sessions (listed once per scan, via sessionList).
+async function getStarterSessionId(embed, sessionList) {
+    const field = embed.fields?.find(f => f.name === SYNC_SESSION_FIELD);
+    if (field) return field.value.replace(/`/g, '').trim();
+    
+    const prefix = embed.description?.match(/^Session: `([^`.]+)\.\.\.`/)?.[1];
+    if (!prefix) return null;
+    const matches = (await sessionList()).filter(session => session.id.startsWith(prefix));
+    return matches.length === 1 ? matches[0].id : null;
+}
+
+// Pages of archived sync threads (100 each, newest first) scanned when re-linking
+const SYNC_RELINK_ARCHIVED_PAGES = 5;
+
+// Re-link a guild's sync threads (active and the most recently archived) to their
+// sessions from the starter embeds, so replies and new terminal activity find them
+// after the bot's state was lost. Threads that are still linked are skipped.
+async function rebuildSyncThreadMappings(guildId) {
+    const syncChannel = syncChannels.get(guildId);
+    if (!syncChannel) return;
+    
+    const backend = getGuildConfig(guildId).opencodeUrl;
+    let sessions = null;
+    const sessionList = async () => {
+        if (!sessions) {
+            const result = await getOpencodeClient(backend).session.list();
+            sessions = result?.data || [];
+        }
+        return sessions;
+    };
+    
+    try {
+        const threads = [...(await syncChannel.threads.fetchActive()).threads.values()];
+        let before;
+        for (let page = 0; page < SYNC_RELINK_ARCHIVED_PAGES; page++) {
+            const archived = await syncChannel.threads.fetchArchived({ type: 'public', before, limit: 100 });
+            threads.push(...archived.threads.values());
+            if (!archived.hasMore || archived.threads.size === 0) break;
+            before = archived.threads.last(); // Pages go back by archive time
+        }
+        
+        let linked = 0;
+        for (const thread of threads) {
+            if (thread.parentId !== syncChannel.id) continue;
+            if (threadToSession.has(thread.id)) {
+                subscribedThreads.add(thread.id);
+                continue;
+            }
+            
+            const starter = await thread.fetchStarterMessage().catch(() => null);
+            if (!starter || starter.author.id !== client.user.id || !starter.embeds[0]) continue;
+            
+            const sessionId = await getStarterSessionId(starter.embeds[0], sessionList);
+            if (!sessionId) continue;
+            
+            threadToSession.set(thread.id, sessionId);
+            subscribedThreads.add(thread.id);
+            trackSessionBackend(sessionId, backend);
+            // Keep an existing link if the session has more than one thread
+            if (!sessionToThread.has(sessionId)) sessionToThread.set(sessionId, thread.id);
+            await seedSyncMarker(sessionId);
+            linked++;
         }
+        console.log(`Linked ${linked} of ${threads.length} sync thread(s) in #${syncChannel.name}`);
     } catch (error) {
-        console.error('Global event subscription failed:', error.message);
-        // Retry after delay
-        console.log('Retrying event subscription in 10 seconds...');
-        setTimeout(startGlobalEventSubscription, 10000);
+        console.error(`Failed to scan sync threads in #${syncChannel.name}:`, error.message);
+    }
+}
+
+// Start a re-linked session's sync at its latest message - the thread already shows what came before
+async function seedSyncMarker(sessionId) {
+    if (lastSyncedMessages.has(sessionId)) return;
+    try {
+        const latest = (await fetchSessionMessages(sessionId)).at(-1)?.info;
+        if (latest) lastSyncedMessages.set(sessionId, { id: latest.id, created: latest.time?.created || 0 });
+    } catch (error) {
+        console.error(`Failed to seed sync marker for session ${sessionId.slice(0, 8)}:`, error.message);
+    }
+}
+
+// Create a thread in a guild's sync channel for an OpenCode session
+async function createSyncThread(sessionId, title, directory, guildId = getSyncGuildId(getSessionBackend(sessionId))) {
+    const syncChannel = syncChannels.get(guildId) || await ensureSyncChannel(guildId);
+    if (!syncChannel) {
+        console.error('Cannot create sync thread: sync channel not available');
+        return null;
+    }
+    
+    try {
+        // Create starter message for the thread
+        // The full session ID is kept in a field so the thread can be re-linked after a restart
+        const embed = new EmbedBuilder()
+            .setColor(0x00D26A)
+            .setTitle(title.slice(0, 100) || 'OpenCode Session')
+            .setDescription(`Directory: \`${directory || 'unknown'}\``)
+            .addFields({ name: SYNC_SESSION_FIELD, value: `\`${sessionId}\`` })
+            .setTimestamp()
+            .setFooter({ text: 'Reply to this thread to send messages to OpenCode' });
+        
+        const starterMessage = await syncChannel.send({ embeds: [embed] });
+        
+        // Create thread from the message
+        const thread = await starterMessage.startThread({
+            name: title.slice(0, 100) || 'OpenCode Session',
+            autoArchiveDuration: 1440, // 24 hours
+            reason: `OpenCode session sync: ${sessionId}`
+        });
+        
+        // Store mappings
+        sessionToThread.set(sessionId, thread.id);
+        threadToSession.set(thread.id, sessionId);
+        
+        // Subscribe to thread for replies
+        subscribedThreads.add(thread.id);
+        
+        console.log(`Created sync thread: ${thread.name} (${thread.id}) for session ${sessionId.slice(0, 8)}`);
+        return thread;
+    } catch (error) {
+        console.error('Failed to create sync thread:', error.message);
+        return null;
+    }
+}
+
+// Post one message to a sync thread, labelled with its role
+async function postSyncMessage(thread, role, text) {
+    const label = role === 'user' ? 'User' : 'Assistant';
+    const parts = splitMessage(text, 1900);
+    for (let i = 0; i < parts.length; i++) {
+        await thread.send(i === 0 ? `**${label}:**\n${parts[i]}` : parts[i]);
+    }
+}
+
+// Post a message exchange to a sync thread
+async function postToSyncThread(threadId, userContent, assistantContent) {
+    try {
+        const thread = await client.channels.fetch(threadId);
+        if (!thread || !thread.isThread()) {
+            console.error('Invalid thread ID:', threadId);
+            return false;
+        }
+        
+        if (userContent) await postSyncMessage(thread, 'user', userContent);
+        if (assistantContent) await postSyncMessage(thread, 'assistant', assistantContent);
+        
+        return true;
+    } catch (error) {
+        console.error('Failed to post to sync thread:', error.message);
+        return false;
+    }
+}
+
+// Handle a message from Discord thread -> forward to OpenCode
+async function handleSyncThreadReply(threadId, userMessage, content) {
+    const sessionId = threadToSession.get(threadId);
+    if (!sessionId) {
+        console.error('No session found for thread:', threadId);
+        return;
+    }
+    
+    console.log(`Forwarding thread reply to OpenCode session ${sessionId.slice(0, 8)}: "${content.slice(0, 50)}..."`);
+    
+    try {
+        // Show typing indicator
+        await userMessage.channel.sendTyping();
+        
+        // Get model for user (or use default)
+        const userId = userMessage.author.id;
+        const userModel = getUserModel(userId);
+        const modelObj = parseModelId(userModel);
+        
+        // Use the same sendPrompt function as main handler
+        const parts = [{ type: 'text', text: content }];
+        const live = createLiveReply((text) => userMessage.channel.send(text));
+        const response = await sendPrompt(sessionId, parts, modelObj, {
+            live,
+            userId,
+            agent: getPromptAgent(userId, threadId),
+            queue: createQueueNotice(userMessage),
+            audit: { ...getAuditContext(userMessage), source: 'thread' }
+        });
+        
+        console.log(`Got response from OpenCode for thread reply`);
+        
+        // Extract response text using same function as main handler
+        const fullResponse = extractResponseText(response);
+        const send = (text) => userMessage.channel.send(text);
+        const usage = await getContextUsage(response?.info);
+        const contextFooter = formatContextUsage(usage);
+        
+        // Post the response to the thread (the first part replaces the live message, the last gets the context footer)
+        if (fullResponse) {
+            const responseParts = splitMessage(fullResponse, 1900);
+            for (let i = 0; i < responseParts.length; i++) {
+                const prefix = i === 0 ? '**Assistant:**\n' : '';
+                const footer = i === responseParts.length - 1 && contextFooter ? `\n-# ${contextFooter}` : '';
+                if (i === 0) {
+                    await sendFinalReply(live, send, prefix + responseParts[i] + footer);
+                } else {
+                    await send(prefix + responseParts[i] + footer);
+                }
+            }
+        } else {
+            await sendFinalReply(live, send, '*No response from AI*');
+        }
+        
+        await postToolCalls(send, userId, response, userMessage.id);
+        await warnContextUsage(send, sessionId, usage);
+    } catch (error) {
+        // Aborted prompts already show their outcome in the live reply; limits are answered by the caller
+        if (error instanceof PromptAbortedError || error instanceof PromptCancelledError || error instanceof PromptLimitError) throw error;
+        console.error('Failed to forward to OpenCode:', error.message);
+        await userMessage.channel.send(`*Error: ${error.message}*`);
+    }
+}
+
+// ============================================
+// Global Event Subscription for Session Sync
+// ============================================
+
+// Drop everything kept about a session that no longer exists (its sync thread is left as is)
+function forgetSession(sessionId) {
+    for (const [user, session] of userSessions) {
+        if (session === sessionId) userSessions.delete(user);
+    }
+    for (const [threadId, session] of threadToSession) {
+        if (session !== sessionId) continue;
+        threadToSession.delete(threadId);
+        threadAgents.delete(threadId);
+    }
+    sessionToThread.delete(sessionId);
+    lastSyncedMessages.delete(sessionId);
+    sessionOwners.delete(sessionId);
+    sessionBackends.delete(sessionId);
+    discordInitiatedSessions.delete(sessionId);
+    contextWarnedSessions.delete(sessionId);
+}
+
+/**
+ * Extract text content from a message
+ */
+function extractMessageContent(message) {
+    if (!message) return '';
+    // Parts can be at message.parts or message.info might not have parts
+    const parts = message.parts || [];
+    if (parts.length === 0) return '';
+    
+    let content = '';
+    for (const part of parts) {
+        if (part.type === 'text') {
+            content += part.text || '';
+        }
+    }
+    return content.trim();
+}
+
+/**
+ * Messages after the last synced one (all of them for a session without a thread yet)
+ */
+function getUnsyncedMessages(messages, lastSynced, hasThread) {
+    if (!lastSynced) {
+        // Threads synced before markers were kept already show everything up to the latest exchange
+        const lastPrompt = messages.findLastIndex(m => (m.info?.role || m.role) === 'user');
+        return hasThread && lastPrompt !== -1 ? messages.slice(lastPrompt) : messages;
+    }
+    
+    const index = messages.findIndex(m => (m.info?.id || m.id) === lastSynced.id);
+    if (index !== -1) return messages.slice(index + 1);
+    
+    // The last synced message is gone (e.g. reverted) - fall back to creation time
+    return messages.filter(m => (m.info?.time?.created || 0) > lastSynced.created);
+}
+
+// Max messages mirrored when a session is synced for the first time (the rest are summarized)
+const SYNC_BACKFILL_LIMIT = 20;
+
+// Sessions being mirrored right now, and those that went idle again meanwhile
+const syncingSessions = new Set();
+const resyncSessions = new Set();
+
+/**
+ * Handle session.idle event - sync terminal session to Discord
+ */
+async function handleSessionIdle(sessionId, backend = getSessionBackend(sessionId)) {
+    // Skip sessions initiated from Discord (they're already in Discord)
+    if (discordInitiatedSessions.has(sessionId)) {
+        console.log(`Skipping sync for Discord-initiated session: ${sessionId.slice(0, 8)}`);
+        return;
+    }
+    
+    // A thread reply's prompt is still running - its exchange is posted by the reply handler
+    if (runningPrompts.has(sessionId)) return;
+    
+    // One sync per session at a time (a second idle event re-runs it afterwards)
+    if (syncingSessions.has(sessionId)) {
+        resyncSessions.add(sessionId);
+        return;
+    }
+    
+    console.log(`Session idle event for: ${sessionId.slice(0, 8)}`);
+    syncingSessions.add(sessionId);
+    
+    try {
+        // Get messages for this session
+        const messagesResult = await getOpencodeClient(backend).session.messages({
+            path: { id: sessionId }
+        });
+        if (messagesResult?.error) {
+            throw new Error(`OpenCode API error: ${JSON.stringify(messagesResult.error)}`);
+        }
+        
+        let messages = messagesResult?.data || [];
+        if (!Array.isArray(messages)) {
+            messages = Object.values(messages);
+        }
+        
+        let unsynced = getUnsyncedMessages(messages, lastSyncedMessages.get(sessionId), sessionToThread.has(sessionId));
+        console.log(`Session ${sessionId.slice(0, 8)} has ${unsynced.length} new message(s) of ${messages.length}`);
+        if (unsynced.length === 0) return;
+        
+        const firstPrompt = unsynced.find(m => (m.info?.role || m.role) === 'user');
+        
+        // A long session seen for the first time only gets its latest messages mirrored
+        let skipped = 0;
+        if (!lastSyncedMessages.has(sessionId) && unsynced.length > SYNC_BACKFILL_LIMIT) {
+            skipped = unsynced.length - SYNC_BACKFILL_LIMIT;
+            unsynced = unsynced.slice(-SYNC_BACKFILL_LIMIT);
+        }
+        
+        // Get or create thread for this session
+        let threadId = sessionToThread.get(sessionId);
+        
+        if (!threadId) {
+            const threadName = extractMessageContent(firstPrompt).slice(0, 50) || 'OpenCode Session';
+            console.log(`Creating sync thread: "${threadName}" for session ${sessionId.slice(0, 8)}`);
+            
+            const thread = await createSyncThread(sessionId, threadName, process.cwd(), getSyncGuildId(backend));
+            if (!thread) {
+                console.error('Failed to create sync thread');
+                return;
+            }
+            threadId = thread.id;
+        }
+        
+        const thread = await client.channels.fetch(threadId);
+        if (!thread?.isThread()) {
+            console.error('Invalid thread ID:', threadId);
+            return;
+        }
+        
+        if (skipped > 0) {
+            await thread.send(`*${skipped} earlier message(s) not shown - use \`/export\` in this thread for the full transcript.*`);
+        }
+        
+        // Post every new message in order, moving the marker after each so a failure resumes where it stopped
+        console.log(`Posting ${unsynced.length} message(s) to thread ${threadId} for session ${sessionId.slice(0, 8)}`);
+        for (const message of unsynced) {
+            const info = message.info || message;
+            const fromThread = threadPromptMessages.has(info.id) || threadPromptMessages.has(info.parentID);
+            const content = extractMessageContent(message);
+            
+            if (content && !fromThread) {
+                await postSyncMessage(thread, info.role, content);
+            }
+            lastSyncedMessages.set(sessionId, { id: info.id, created: info.time?.created || 0 });
+        }
+        
+        // Everything up to the marker is done - forget the thread prompts it passed
+        for (const message of unsynced) {
+            const info = message.info || message;
+            if (info.role === 'user') threadPromptMessages.delete(info.id);
+        }
+    } catch (error) {
+        console.error(`Failed to sync session ${sessionId.slice(0, 8)}:`, error.message);
+    } finally {
+        syncingSessions.delete(sessionId);
+        if (resyncSessions.delete(sessionId)) {
+            handleSessionIdle(sessionId, backend);
+        }
+    }
+}
+
+// Backends with an event subscription running (one per OpenCode server)
+const subscribedBackends = new Set();
+
+/**
+ * Start global event subscription to sync terminal sessions to Discord
+ */
+async function startGlobalEventSubscription(backend = DEFAULT_OPENCODE_URL) {
+    subscribedBackends.add(backend);
+    console.log(`Starting global event subscription for session sync (${backend})...`);
+    
+    try {
+        const eventStream = await getOpencodeClient(backend).global.event();
+        
+        console.log(`Global event subscription established (${backend})`);
+        
+        // Process events from the stream
+        for await (const event of eventStream.stream) {
+            try {
+                // Events come wrapped in { payload: { type, properties } }
+                const payload = event?.payload || event;
+                const eventType = payload?.type;
+                
+                // Debug: log events (skip frequent ones like deltas)
+                if (eventType && !['message.part.delta', 'message.part.updated'].includes(eventType)) {
+                    console.log(`[SYNC] Event: ${eventType}`, JSON.stringify(payload.properties || {}).slice(0, 200));
+                }
+                
+                if (payload?.properties?.sessionID) {
+                    trackSessionBackend(payload.properties.sessionID, backend);
+                }
+                
+                // Relay permission requests to Discord (and clear them once answered elsewhere)
+                if (eventType === 'permission.updated' || eventType === 'permission.asked') {
+                    handlePermissionAsked(payload.properties || {}).catch(error => {
+                        console.error('Failed to relay permission request:', error.message);
+                    });
+                }
+                if (eventType === 'permission.replied') {
+                    const props = payload.properties || {};
+                    const permissionId = props.permissionID || props.requestID;
+                    resolvePermissionMessage(permissionId, props.response || props.reply);
+                }
+                
+                // Compaction frees up context - allow a fresh usage warning
+                if (eventType === 'session.compacted' && payload.properties?.sessionID) {
+                    contextWarnedSessions.delete(payload.properties.sessionID);
+                }
+                
+                // Stream assistant output into live Discord replies
+                if (['message.updated', 'message.part.updated', 'message.part.delta'].includes(eventType)) {
+                    handleLiveEvent(eventType, payload.properties);
+                }
+                
+                // Handle session becoming idle (via session.status event)
+                // session.status has: { sessionID, status: { type: "idle" | "busy" } }
+                if (eventType === 'session.status') {
+                    const sessionId = payload.properties?.sessionID;
+                    const statusType = payload.properties?.status?.type;
+                    if (sessionId && statusType === 'idle') {
+                        console.log(`[SYNC] Session ${sessionId.slice(0, 8)} became idle`);
+                        // Use setTimeout to avoid blocking the event loop
+                        setTimeout(() => handleSessionIdle(sessionId, backend), 100);
+                    }
+                }
+                
+                // Handle session.deleted - clean up mappings
+                if (eventType === 'session.deleted') {
+                    const sessionId = payload.properties?.info?.id;
+                    if (sessionId) forgetSession(sessionId);
+                }
+            } catch (eventError) {
+                console.error('Error processing event:', eventError.message);
+            }
+        }
+    } catch (error) {
+        console.error('Global event subscription failed:', error.message);
+        // Retry after delay
+        console.log('Retrying event subscription in 10 seconds...');
+        setTimeout(() => startGlobalEventSubscription(backend), 10000);
+    }
+}
+
+// Subscribe to every configured backend that isn't subscribed yet
+function startBackendSubscriptions() {
+    const backends = new Set(getConfiguredGuildIds().map(guildId => getGuildConfig(guildId).opencodeUrl));
+    for (const backend of backends) {
+        if (!subscribedBackends.has(backend)) startGlobalEventSubscription(backend);
+    }
+}
+
+// ============================================
+// Permission Relay
+// ============================================
+// When the agent asks for permission (bash command, edit outside the workspace, ...)
+// in a Discord-initiated or synced session, post Allow/Deny buttons to Discord
+// and send the answer back through the SDK.
+const PERMISSION_RESPONSES = {
+    once: 'Allowed once',
+    always: 'Always allowed',
+    reject: 'Denied'
+};
+// permissionId -> { sessionId, message } for requests waiting on an answer
+const pendingPermissions = new Map();
+
+// Normalize permission.updated (Permission) and permission.asked (PermissionRequest) payloads
+function normalizePermission(properties) {
+    const patterns = properties.patterns || properties.pattern || [];
+    return {
+        id: properties.id,
+        sessionId: properties.sessionID,
+        type: properties.permission || properties.type || 'unknown',
+        title: properties.title || null,
+        patterns: Array.isArray(patterns) ? patterns : [patterns]
+    };
+}
+
+// Discord users who may answer a permission request: the session's creator,
+// or the user whose prompt is running (e.g. a sync thread reply)
+function getPermissionApprovers(sessionId) {
+    return [sessionOwners.get(sessionId), getRunningPromptUser(sessionId)].filter(Boolean);
+}
+
+// Where to post a permission request for a session
+async function getPermissionChannel(sessionId) {
+    const threadId = sessionToThread.get(sessionId);
+    if (threadId) {
+        return client.channels.fetch(threadId).catch(() => null);
+    }
+    
+    // Prefer the channel where the prompt is running, else DM the session's creator
+    const live = liveReplies.get(sessionId);
+    if (live?.message) return live.message.channel;
+    
+    const ownerId = sessionOwners.get(sessionId);
+    if (ownerId) {
+        const user = await client.users.fetch(ownerId).catch(() => null);
+        return user ? user.createDM() : null;
+    }
+    return null;
+}
+
+async function handlePermissionAsked(properties) {
+    const permission = normalizePermission(properties);
+    const { id, sessionId } = permission;
+    if (!id || !sessionId || pendingPermissions.has(id)) return;
+    if (!discordInitiatedSessions.has(sessionId) && !sessionToThread.has(sessionId)) return;
+    
+    // Claim the request before the first await - OpenCode can announce it twice (asked + updated)
+    const pending = { sessionId, message: null };
+    pendingPermissions.set(id, pending);
+    
+    try {
+        const channel = await getPermissionChannel(sessionId);
+        if (!channel) {
+            console.error(`No Discord channel for permission request in session ${sessionId.slice(0, 8)}`);
+            pendingPermissions.delete(id);
+            return;
+        }
+        
+        const patterns = permission.patterns.length > 0
+            ? permission.patterns.map(p => `\`${String(p).slice(0, 200)}\``).join('\n').slice(0, 1024)
+            : 'n/a';
+        
+        const embed = new EmbedBuilder()
+            .setColor(0xFEE75C)
+            .setTitle('Permission requested')
+            .setDescription((permission.title || `The agent wants to use **${permission.type}**`).slice(0, 2000))
+            .addFields(
+                { name: 'Type', value: permission.type, inline: true },
+                { name: 'Session', value: `\`${sessionId.slice(0, 8)}...\``, inline: true },
+                { name: 'Pattern', value: patterns, inline: false }
+            )
+            .setTimestamp()
+            .setFooter({ text: 'Only the session owner or an admin can answer' });
+        
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`perm_once_${id}`)
+                .setLabel('Allow once')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`perm_always_${id}`)
+                .setLabel('Always allow')
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId(`perm_reject_${id}`)
+                .setLabel('Deny')
+                .setStyle(ButtonStyle.Danger)
+        );
+        
+        const mentions = getPermissionApprovers(sessionId).map(userId => `<@${userId}>`).join(' ');
+        const message = await channel.send({ content: mentions || undefined, embeds: [embed], components: [row] });
+        
+        // Answered elsewhere (e.g. in the TUI) while we were posting
+        if (pendingPermissions.get(id) !== pending) {
+            await message.edit({ content: 'Answered elsewhere', components: [] }).catch(() => {});
+            return;
+        }
+        pending.message = message;
+        console.log(`Relayed permission ${id} (${permission.type}) for session ${sessionId.slice(0, 8)}`);
+    } catch (error) {
+        if (pendingPermissions.get(id) === pending) pendingPermissions.delete(id);
+        console.error('Failed to post permission request:', error.message);
+    }
+}
+
+// Mark a relayed permission request as answered and remove its buttons
+async function resolvePermissionMessage(permissionId, response, userId = null) {
+    const pending = pendingPermissions.get(permissionId);
+    if (!pending) return;
+    pendingPermissions.delete(permissionId);
+    if (!pending.message) return; // Still being posted - handlePermissionAsked clears its buttons
+    
+    const by = userId ? ` by <@${userId}>` : '';
+    const embed = EmbedBuilder.from(pending.message.embeds[0])
+        .setColor(response === 'reject' ? 0xED4245 : 0x57F287)
+        .setFooter({ text: `${PERMISSION_RESPONSES[response] || response}` });
+    
+    try {
+        await pending.message.edit({
+            content: `${PERMISSION_RESPONSES[response] || response}${by}`,
+            embeds: [embed],
+            components: []
+        });
+    } catch (error) {
+        console.error('Failed to update permission message:', error.message);
+    }
+}
+
+// Send the user's answer to OpenCode
+async function respondToPermission(sessionId, permissionId, response) {
+    const result = await getSessionClient(sessionId).postSessionIdPermissionsPermissionId({
+        path: { id: sessionId, permissionID: permissionId },
+        body: { response }
+    });
+    if (result?.error) {
+        throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
+    }
+}
+
+// Split long messages for Discord (2000 char limit)
+function splitMessage(text, maxLength = 1900) {
+    if (text.length <= maxLength) return [text];
+    
+    const parts = [];
+    let remaining = text;
+    
+    while (remaining.length > 0) {
+        if (remaining.length <= maxLength) {
+            parts.push(remaining);
+            break;
+        }
+        
+        // Try to split at newline
+        let splitIndex = remaining.lastIndexOf('\n', maxLength);
+        if (splitIndex === -1 || splitIndex < maxLength / 2) {
+            // Try to split at space
+            splitIndex = remaining.lastIndexOf(' ', maxLength);
+        }
+        if (splitIndex === -1 || splitIndex < maxLength / 2) {
+            // Force split
+            splitIndex = maxLength;
+        }
+        
+        parts.push(remaining.slice(0, splitIndex));
+        remaining = remaining.slice(splitIndex).trim();
+    }
+    
+    return parts;
+}
+
+// ============================================
+// Response Delivery
+// ============================================
+// How a long response reaches the user depends on their `delivery` preference:
+//   last  - only the last section, with an Expand button for the rest
+//   full  - every section as its own message
+//   paged - one embed with Prev/Next buttons
+//   file  - the whole answer attached as a .md file
+const DELIVERY_MODES = {
+    last: 'Last section only',
+    full: 'Full response (multiple messages)',
+    paged: 'Paginated embed',
+    file: 'Attached .md file'
+};
+const STORED_RESPONSE_TTL = 60 * 60 * 1000; // Expand/page buttons work for 1 hour
+// Responses kept for Expand/page buttons (key -> { parts, pages })
+const storedResponses = new Map();
+
+function storeResponse(key, data) {
+    storedResponses.set(key, data);
+    setTimeout(() => storedResponses.delete(key), STORED_RESPONSE_TTL);
+}
+
+// Build one page of a paginated response embed
+function buildResponsePage(key, pages, page, footer = null) {
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setDescription(pages[page])
+        .setFooter({ text: [`Page ${page + 1}/${pages.length}`, footer].filter(Boolean).join(' · ') });
+    
+    const navRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`respage_${key}_${page - 1}`)
+            .setLabel('Prev')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(page === 0),
+        new ButtonBuilder()
+            .setCustomId(`respage_${key}_${page + 1}`)
+            .setLabel('Next')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(page >= pages.length - 1)
+    );
+    
+    return { content: '', embeds: [embed], components: [navRow] };
+}
+
+// Deliver an AI response to the message that prompted it
+// options.footer: short status line (e.g. context usage) shown under the response
+async function deliverResponse(message, responseText, live, options = {}) {
+    const mode = getUserPreference(message.author.id, 'delivery');
+    const key = message.id;
+    const reply = (payload) => message.reply(payload);
+    const parts = splitMessage(responseText);
+    const footer = options.footer ? `\n-# ${options.footer}` : '';
+    
+    if (mode === 'file') {
+        const attachment = new AttachmentBuilder(Buffer.from(responseText, 'utf8'), { name: 'response.md' });
+        await sendFinalReply(live, reply, {
+            content: `Full response attached (${responseText.length} characters).${footer}`,
+            files: [attachment]
+        });
+        return;
+    }
+    
+    if (mode === 'paged' && parts.length > 1) {
+        const pages = splitMessage(responseText, 4000);
+        storeResponse(key, { pages, footer: options.footer });
+        await sendFinalReply(live, reply, buildResponsePage(key, pages, 0, options.footer));
+        return;
+    }
+    
+    if (mode === 'full') {
+        if (parts.length === 1) {
+            await sendFinalReply(live, reply, parts[0] + footer);
+            return;
+        }
+        await sendFinalReply(live, reply, parts[0]);
+        for (const [i, part] of parts.slice(1).entries()) {
+            await message.channel.send(i === parts.length - 2 ? part + footer : part);
+        }
+        return;
+    }
+    
+    // Only send the last section of the response (users don't read all details)
+    const lastPart = parts[parts.length - 1] + footer;
+    if (parts.length === 1) {
+        await sendFinalReply(live, reply, lastPart);
+        return;
+    }
+    
+    storeResponse(key, { parts });
+    const expandRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`expand_${key}`)
+            .setLabel(`Expand (${parts.length - 1} more)`)
+            .setStyle(ButtonStyle.Secondary)
+    );
+    await sendFinalReply(live, reply, {
+        content: `... (${parts.length - 1} sections omitted)\n\n${lastPart}`,
+        components: [expandRow]
+    });
+}
+
+// ============================================
+// Session Export
+// ============================================
+// /export turns a session's full message list into a Markdown, JSON or
+// self-contained HTML transcript.
+const EXPORT_OUTPUT_LIMIT = 5000; // Max tool output chars per call in Markdown/HTML
+
+// Fetch every message in a session as [{ info, parts }]
+async function fetchSessionMessages(sessionId) {
+    const result = await getSessionClient(sessionId).session.messages({ path: { id: sessionId } });
+    if (result?.error) {
+        throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
+    }
+    const messages = result?.data || [];
+    return Array.isArray(messages) ? messages : Object.values(messages);
+}
+
+// Normalize messages into transcript entries
+function buildTranscript(messages) {
+    return messages.map(message => {
+        const info = message.info || message;
+        const model = info.model
+            ? `${info.model.providerID}/${info.model.modelID}`
+            : (info.providerID ? `${info.providerID}/${info.modelID}` : null);
+        
+        return {
+            id: info.id,
+            role: info.role || message.role || 'unknown',
+            time: info.time?.created || null,
+            model,
+            agent: info.agent || info.mode || null,
+            text: extractMessageContent(message),
+            tools: (message.parts || []).filter(p => p.type === 'tool').map(describeToolCall),
+            files: (message.parts || [])
+                .filter(p => p.type === 'file')
+                .map(p => ({ filename: p.filename || 'attachment', mime: p.mime, url: p.url }))
+        };
+    });
+}
+
+function truncateOutput(output) {
+    return output.length > EXPORT_OUTPUT_LIMIT
+        ? output.slice(0, EXPORT_OUTPUT_LIMIT) + `\n... (${output.length - EXPORT_OUTPUT_LIMIT} more characters)`
+        : output;
+}
+
+function formatExportTime(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : 'unknown time';
+}
+
+function exportMarkdown(session, entries) {
+    const lines = [
+        `# ${session.title || 'OpenCode Session'}`,
+        '',
+        `- Session: \`${session.id}\``,
+        `- Directory: \`${session.directory || 'unknown'}\``,
+        `- Exported: ${new Date().toISOString()}`,
+        ''
+    ];
+    
+    for (const entry of entries) {
+        const meta = [formatExportTime(entry.time), entry.model, entry.agent].filter(Boolean).join(' · ');
+        lines.push(`## ${entry.role === 'user' ? 'User' : 'Assistant'}`, '', `*${meta}*`, '');
+        if (entry.text) lines.push(entry.text, '');
+        
+        for (const file of entry.files) {
+            lines.push(file.mime?.startsWith('image/') ? `![${file.filename}](${file.url})` : `[${file.filename}](${file.url})`, '');
+        }
+        
+        for (const call of entry.tools) {
+            const exit = call.exitCode !== null ? ` (exit ${call.exitCode})` : '';
+            lines.push(`${call.icon} **${call.tool}** \`${call.target}\`${exit}`, '');
+            if (call.output) {
+                lines.push('```', truncateOutput(call.output).replace(/`{3}/g, '` ` `'), '```', '');
+            }
+        }
+    }
+    
+    return lines.join('\n');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Leading bytes of the image types the HTML export inlines
+const IMAGE_SIGNATURES = [
+    { mime: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47] },
+    { mime: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mime: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: 'WEBP' }
+];
+
+function detectImageMime(data) {
+    const match = IMAGE_SIGNATURES.find(sig =>
+        sig.bytes.every((byte, i) => data[i] === byte) &&
+        (!sig.at8 || data.toString('latin1', 8, 12) === sig.at8)
+    );
+    return match?.mime || null;
+}
+
+// Resolve directories the export may read images from (missing ones are skipped)
+function resolveExportRoots(dirs) {
+    return dirs.filter(Boolean).map(dir => {
+        try {
+            return fs.realpathSync(dir);
+        } catch {
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+// Inline an image as a data URI so the HTML export is self-contained.
+// Local files are only read from inside `roots`, and only if their content is an image.
+function getImageDataUri(file, roots) {
+    if (file.url?.startsWith('data:image/')) return file.url;
+    if (file.url?.startsWith('file://')) {
+        try {
+            const filePath = fs.realpathSync(fileURLToPath(file.url));
+            const inside = roots.some(root => {
+                const relative = path.relative(root, filePath);
+                return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+            });
+            if (!inside) return null;
+            
+            const data = fs.readFileSync(filePath);
+            const mime = detectImageMime(data);
+            return mime ? `data:${mime};base64,${data.toString('base64')}` : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    return /^https?:\/\//.test(file.url || '') ? file.url : null;
+}
+
+function exportHtml(session, entries) {
+    // The session's project and the bot's own uploads (images sent from Discord)
+    const roots = resolveExportRoots([session.directory, path.join(__dirname, 'uploads')]);
+    const body = entries.map(entry => {
+        const meta = [formatExportTime(entry.time), entry.model, entry.agent].filter(Boolean).map(escapeHtml).join(' · ');
+        const files = entry.files.map(file => {
+            const src = file.mime?.startsWith('image/') ? getImageDataUri(file, roots) : null;
+            return src
+                ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(file.filename)}">`
+                : `<p class="file">📎 ${escapeHtml(file.filename)}</p>`;
+        }).join('\n');
+        const tools = entry.tools.map(call => {
+            const exit = call.exitCode !== null ? ` (exit ${call.exitCode})` : '';
+            const output = call.output ? `<pre>${escapeHtml(truncateOutput(call.output))}</pre>` : '';
+            return `<details class="tool"><summary>${call.icon} <b>${escapeHtml(call.tool)}</b> <code>${escapeHtml(call.target)}</code>${exit}</summary>${output}</details>`;
+        }).join('\n');
+        
+        return `<section class="${entry.role}">
+<h2>${entry.role === 'user' ? 'User' : 'Assistant'}</h2>
+<p class="meta">${meta}</p>
+${entry.text ? `<div class="text">${escapeHtml(entry.text)}</div>` : ''}
+${files}
+${tools}
+</section>`;
+    }).join('\n');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(session.title || 'OpenCode Session')}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 900px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+section { border-left: 4px solid #5865F2; padding: 0.5rem 1rem; margin: 1rem 0; }
+section.user { border-color: #57F287; }
+h2 { margin: 0; font-size: 1.1rem; }
+.meta { color: #656d76; font-size: 0.85rem; margin: 0.25rem 0; }
+.text { white-space: pre-wrap; }
+pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; font-size: 0.85rem; }
+img { max-width: 100%; border-radius: 4px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(session.title || 'OpenCode Session')}</h1>
+<p class="meta">Session <code>${escapeHtml(session.id)}</code> · Exported ${new Date().toISOString()}</p>
+${body}
+</body>
+</html>
+`;
+}
+
+// Transcribe voice message using Whisper
+async function transcribeVoice(audioBuffer, mimeType) {
+    if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY not configured for voice transcription');
+    }
+    
+    // Save to temp file
+    const ext = mimeType.includes('ogg') ? 'ogg' : mimeType.includes('mp3') ? 'mp3' : 'wav';
+    const tempFile = path.join(os.tmpdir(), `voice_${Date.now()}.${ext}`);
+    fs.writeFileSync(tempFile, audioBuffer);
+    
+    try {
+        const transcription = await openai.audio.transcriptions.create({
+            file: fs.createReadStream(tempFile),
+            model: 'whisper-1',
+        });
+        
+        return transcription.text;
+    } finally {
+        // Clean up temp file
+        try {
+            fs.unlinkSync(tempFile);
+        } catch (e) {
+            // Ignore cleanup errors
+        }
+    }
+}
+
+// Capability each command needs (others only need access to the bot; admin-only
+// subcommands check auth.isAdmin themselves)
+const COMMAND_CAPABILITIES = {
+    new: 'chat',
+    sessions: 'chat',
+    session: 'chat',
+    abort: 'chat',
+    export: 'chat',
+    diff: 'chat',
+    compact: 'chat',
+    undo: 'chat',
+    redo: 'chat',
+    access: 'admin',
+    config: 'admin',
+    audit: 'admin',
+    model: 'model',
+    models: 'model',
+    agent: 'model'
+};
+
+// Handle slash command interactions
+client.on('interactionCreate', async (interaction) => {
+    // Handle button interactions
+    if (interaction.isButton()) {
+        await handleButtonInteraction(interaction);
+        return;
+    }
+    
+    // Handle select menu interactions
+    if (interaction.isStringSelectMenu()) {
+        await handleSelectMenuInteraction(interaction);
+        return;
+    }
+    
+    // Handle option autocomplete
+    if (interaction.isAutocomplete()) {
+        try {
+            await handleAutocomplete(interaction);
+        } catch (error) {
+            console.error('Autocomplete error:', error.message);
+        }
+        return;
+    }
+    
+    if (!interaction.isChatInputCommand()) return;
+    
+    const userId = interaction.user.id;
+    
+    // Check authorization first (works in both DMs and public channels)
+    let auth = await checkUserAuthorized(userId, interaction.guildId);
+    
+    // Handle first user setup (someone else may have just claimed it - then check again)
+    if (auth.isFirstUser && !claimFirstAdmin(auth.guildId, userId)) {
+        auth = await checkUserAuthorized(userId, interaction.guildId);
+    }
+    if (auth.isFirstUser) {
+        await interaction.reply({
+            content: `You are the first user of this bot, so you are now its admin (user ID: ${userId}).\n\n` +
+                `Run your command again, and use \`/access allow\` to let others in.`,
+            ephemeral: true
+        });
+        return;
+    }
+    
+    if (!auth.authorized) {
+        await interaction.reply({
+            content: auth.reason,
+            ephemeral: true
+        });
+        return;
+    }
+    if (auth.dmGuildChanged) {
+        await interaction.user.send(formatDmGuildChange(auth.guildId)).catch(() => {});
+    }
+    
+    const { commandName } = interaction;
+    
+    const capability = COMMAND_CAPABILITIES[commandName];
+    if (capability && !(await requireCapability(interaction, auth, capability))) return;
+    
+    try {
+        switch (commandName) {
+            case 'start':
+                await handleStartCommand(interaction);
+                break;
+            case 'new':
+                await handleNewCommand(interaction);
+                break;
+            case 'sessions':
+                await handleSessionsCommand(interaction);
+                break;
+            case 'session':
+                await handleSessionCommand(interaction, auth);
+                break;
+            case 'model':
+                await handleModelCommand(interaction);
+                break;
+            case 'agent':
+                await handleAgentCommand(interaction);
+                break;
+            case 'models':
+                await handleModelsCommand(interaction);
+                break;
+            case 'abort':
+                await handleAbortCommand(interaction, auth);
+                break;
+            case 'export':
+                await handleExportCommand(interaction, auth);
+                break;
+            case 'diff':
+                await handleDiffCommand(interaction);
+                break;
+            case 'compact':
+                await handleCompactCommand(interaction);
+                break;
+            case 'usage':
+                await handleUsageCommand(interaction, auth);
+                break;
+            case 'limits':
+                await handleLimitsCommand(interaction, auth);
+                break;
+            case 'permissions':
+                await handlePermissionsCommand(interaction, auth);
+                break;
+            case 'access':
+                await handleAccessCommand(interaction, auth);
+                break;
+            case 'config':
+                await handleConfigCommand(interaction, auth);
+                break;
+            case 'audit':
+                await handleAuditCommand(interaction, auth);
+                break;
+            case 'undo':
+                await handleRevertCommand(interaction, 'undo');
+                break;
+            case 'redo':
+                await handleRevertCommand(interaction, 'redo');
+                break;
+            case 'settings':
+                await handleSettingsCommand(interaction);
+                break;
+            case 'help':
+                await handleHelpCommand(interaction);
+                break;
+            default:
+                await interaction.reply('Unknown command');
+        }
+    } catch (error) {
+        console.error(`Error handling command ${commandName}:`, error);
+        const errorMessage = `Error: ${error.message}`;
+        if (interaction.replied || interaction.deferred) {
+            await interaction.followUp(errorMessage);
+        } else {
+            await interaction.reply(errorMessage);
+        }
+    }
+});
+
+// Command handlers
+async function handleStartCommand(interaction) {
+    const userId = interaction.user.id;
+    const currentModel = getUserModel(userId);
+    
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('Welcome to OpenDiscord!')
+        .setDescription('I connect you to OpenCode AI assistant.')
+        .addFields(
+            { name: 'Current Model', value: `\`${currentModel}\``, inline: false },
+            { name: 'Commands', value: 
+                '`/new` - Start a new session\n' +
+                '`/sessions` - List and resume sessions\n' +
+                '`/session` - Rename or delete a session\n' +
+                '`/models` - Browse available models\n' +
+                '`/model` - Show/set current model\n' +
+                '`/agent` - Choose the agent (e.g. build or plan)\n' +
+                '`/abort` - Stop the running prompt\n' +
+                '`/settings` - Choose how responses are delivered\n' +
+                '`/help` - Show help'
+            },
+            { name: 'Features', value:
+                '**Text messages** - Chat with the AI\n' +
+                '**Voice messages** - Send voice to transcribe and chat\n' +
+                '**Images** - Send images with optional description for AI analysis'
+            }
+        )
+        .setFooter({ text: 'Just send me any message to start chatting!' });
+    
+    await interaction.reply({ embeds: [embed] });
+}
+
+async function handleNewCommand(interaction) {
+    const userId = interaction.user.id;
+    
+    await interaction.deferReply();
+    
+    try {
+        const newSession = await createUserSession(userId);
+        writeAudit('session.new', { ...getAuditContext(interaction), sessionId: newSession.id });
+        
+        await interaction.editReply(
+            `New session created!\n\n` +
+            `Session ID: \`${newSession.id}\`\n\n` +
+            `Send me a message to start chatting.`
+        );
+    } catch (error) {
+        await interaction.editReply(`Error creating session: ${error.message}`);
+    }
+}
+
+// Format a timestamp as a short relative age (e.g. "5m ago")
+function formatAge(timestamp) {
+    const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+// List top-level sessions on a user's backend, most recently updated first
+async function listSessions(userId) {
+    const result = await getUserClient(userId).session.list();
+    if (result?.error) {
+        throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
+    }
+    
+    return (result?.data || [])
+        .filter(s => !s.parentID) // Hide subagent sessions
+        .sort((a, b) => (b.time?.updated || 0) - (a.time?.updated || 0));
+}
+
+// Message count and context usage of a session (null fields if they can't be fetched)
+async function getSessionStats(sessionId) {
+    try {
+        const messages = await fetchSessionMessages(sessionId);
+        const lastAssistant = [...messages].reverse().find(m => m.info?.role === 'assistant' && getContextTokens(m.info));
+        return {
+            messageCount: messages.length,
+            usage: lastAssistant ? await getContextUsage(lastAssistant.info) : null
+        };
+    } catch (error) {
+        return { messageCount: null, usage: null };
+    }
+}
+
+// sessionId -> { updated, stats } for the /sessions picker (stats are only refetched once a session changes)
+const sessionStatsCache = new Map();
+
+async function getCachedSessionStats(session) {
+    const updated = session.time?.updated || 0;
+    const cached = sessionStatsCache.get(session.id);
+    if (cached && cached.updated === updated) return cached.stats;
+    
+    const stats = await getSessionStats(session.id);
+    if (stats.messageCount !== null) sessionStatsCache.set(session.id, { updated, stats });
+    return stats;
+}
+
+// Build one page of the /sessions picker for a user
+async function buildSessionsPage(userId, page, mineOnly) {
+    const pageSize = 10;
+    let sessions = await listSessions(userId);
+    
+    if (mineOnly) {
+        sessions = sessions.filter(s => sessionOwners.get(s.id) === userId);
+    }
+    
+    const currentSession = userSessions.get(userId);
+    const currentLine = `Current: \`${currentSession ? currentSession.slice(0, 8) + '...' : 'none'}\``;
+    
+    if (sessions.length === 0) {
+        return {
+            content: (mineOnly ? 'You have not created any sessions yet.' : 'No sessions found.') +
+                ` Use \`/new\` to create one.\n\n${currentLine}`,
+            components: []
+        };
+    }
+    
+    const totalPages = Math.ceil(sessions.length / pageSize);
+    page = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageSessions = sessions.slice(page * pageSize, (page + 1) * pageSize);
+    const stats = await Promise.all(pageSessions.map(getCachedSessionStats));
+    
+    const menu = new StringSelectMenuBuilder()
+        .setCustomId('session_select')
+        .setPlaceholder('Select a session to resume')
+        .addOptions(pageSessions.map((s, i) => {
+            const count = stats[i].messageCount === null ? '?' : stats[i].messageCount;
+            const usage = stats[i].usage;
+            const context = usage ? ` · ${usage.ratio ? Math.round(usage.ratio * 100) + '%' : formatTokens(usage.used)} ctx` : '';
+            const owner = sessionOwners.get(s.id) === userId ? ' · yours' : '';
+            return {
+                label: (s.title || 'Untitled').slice(0, 100),
+                description: `${s.id.slice(0, 8)} · ${formatAge(s.time?.updated || s.time?.created)} · ${count} messages${context}${owner}`.slice(0, 100),
+                value: s.id,
+                default: s.id === currentSession
+            };
+        }));
+    
+    const navRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`sessions_page_${page - 1}_${mineOnly ? 1 : 0}`)
+            .setLabel('Previous')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(page === 0),
+        new ButtonBuilder()
+            .setCustomId(`sessions_page_${page + 1}_${mineOnly ? 1 : 0}`)
+            .setLabel('Next')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(page >= totalPages - 1),
+        new ButtonBuilder()
+            .setCustomId(`sessions_page_0_${mineOnly ? 0 : 1}`)
+            .setLabel(mineOnly ? 'Show all' : 'Mine only')
+            .setStyle(ButtonStyle.Secondary)
+    );
+    
+    const filterMsg = mineOnly ? ' (mine only)' : '';
+    return {
+        content: `**Sessions${filterMsg}** (${sessions.length} total, page ${page + 1}/${totalPages})\n\n` +
+            `Pick a session to resume it.\n\n${currentLine}`,
+        components: [new ActionRowBuilder().addComponents(menu), navRow]
+    };
+}
+
+async function handleSessionsCommand(interaction) {
+    await interaction.deferReply();
+    
+    const mineOnly = interaction.options.getBoolean('mine') || false;
+    
+    try {
+        await interaction.editReply(await buildSessionsPage(interaction.user.id, 0, mineOnly));
+    } catch (error) {
+        await interaction.editReply(`Error listing sessions: ${error.message}`);
+    }
+}
+
+// Resolve a session ID argument (full ID or prefix) - defaults to the user's current session
+async function resolveSessionId(userId, sessionArg) {
+    if (!sessionArg) return userSessions.get(userId) || null;
+    
+    const sessions = await listSessions(userId);
+    const exact = sessions.find(s => s.id === sessionArg);
+    const matches = exact ? [exact] : sessions.filter(s => s.id.startsWith(sessionArg));
+    if (matches.length !== 1) return null;
+    
+    trackSessionBackend(matches[0].id, getUserBackend(userId));
+    return matches[0].id;
+}
+
+// Handle /session delete and /session rename
+async function handleSessionCommand(interaction, auth) {
+    const userId = interaction.user.id;
+    const subcommand = interaction.options.getSubcommand();
+    
+    await interaction.deferReply({ ephemeral: true });
+    
+    const sessionId = await resolveSessionId(userId, interaction.options.getString('session_id'));
+    if (!sessionId) {
+        await interaction.editReply('Session not found. Use `/sessions` to see available sessions.');
+        return;
+    }
+    
+    // Only the session's creator or an admin may modify it
+    if (sessionOwners.get(sessionId) !== userId && !auth.isAdmin) {
+        await interaction.editReply('You can only modify sessions you created.');
+        return;
+    }
+    
+    if (subcommand === 'delete') {
+        const result = await getSessionClient(sessionId).session.delete({ path: { id: sessionId } });
+        if (result?.error) {
+            throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
+        }
+        
+        // Drop the session from anyone who had it selected, and its sync thread links
+        forgetSession(sessionId);
+        writeAudit('session.delete', { ...getAuditContext(interaction), sessionId });
+        
+        await interaction.editReply(`Deleted session \`${sessionId.slice(0, 8)}...\``);
+    } else if (subcommand === 'rename') {
+        const title = interaction.options.getString('title');
+        const result = await getSessionClient(sessionId).session.update({
+            path: { id: sessionId },
+            body: { title }
+        });
+        if (result?.error) {
+            throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
+        }
+        
+        await interaction.editReply(`Renamed session \`${sessionId.slice(0, 8)}...\` to **${title}**`);
+    }
+}
+
+async function handleModelCommand(interaction) {
+    const userId = interaction.user.id;
+    const modelArg = interaction.options.getString('model_id');
+    const currentModel = getUserModel(userId);
+    
+    if (modelArg) {
+        await interaction.deferReply();
+        
+        // Only an exact provider/model ID switches (autocomplete fills them in) - a typo shouldn't pick another model
+        const models = await getAvailableModels({ backend: getUserBackend(userId) });
+        const model = models.find(m => m.id === modelArg);
+        
+        if (model && !isModelAllowed(await getUserLimits(userId), model.id)) {
+            await interaction.editReply(
+                `You're not allowed to use \`${model.id}\`.\n\n` +
+                `Run \`/models\` to see the models you can use.`
+            );
+        } else if (model) {
+            writeAudit('model.change', { ...getAuditContext(interaction), model: model.id, previous: currentModel });
+            userModels.set(userId, model.id);
+            const capabilities = formatModelCapabilities(model);
+            await interaction.editReply(
+                `**Model set to:** ${model.name}\n\n` +
+                `ID: \`${model.id}\`\n` +
+                (capabilities ? `${capabilities}\n` : '') +
+                `\nYour next message will use this model.`
+            );
+        } else {
+            const { models: allowed } = await getUserLimits(userId);
+            const candidates = filterModels(models, modelArg.toLowerCase(), allowed).slice(0, 10);
+            await interaction.editReply(
+                `Model \`${modelArg}\` not found. Use a full \`provider/model\` ID.\n\n` +
+                (candidates.length > 0
+                    ? `Did you mean:\n${candidates.map(m => `\`${m.id}\``).join('\n')}`
+                    : `Run \`/models\` to see all available models.`)
+            );
+        }
+    } else {
+        await interaction.deferReply();
+        const info = await getModelInfo(currentModel, getUserBackend(userId));
+        const capabilities = info ? formatModelCapabilities(info) : '';
+        await interaction.editReply(
+            `**Current Model:**\n\`${currentModel}\`\n` +
+            (capabilities ? `${capabilities}\n` : '') + `\n` +
+            `Run \`/models\` to see and select other models.\n` +
+            `Or use \`/model model_id:<model-id>\` to set a specific model.`
+        );
+    }
+}
+
+// Suggest model IDs while typing /model model_id
+async function handleAutocomplete(interaction) {
+    if (interaction.commandName !== 'model') {
+        await interaction.respond([]);
+        return;
+    }
+    
+    const auth = await checkUserAuthorized(interaction.user.id, interaction.guildId);
+    if (!auth.authorized || !auth.capabilities.has(COMMAND_CAPABILITIES.model)) {
+        await interaction.respond([]);
+        return;
+    }
+    
+    const focused = interaction.options.getFocused().toLowerCase();
+    const { models: allowed } = await getUserLimits(interaction.user.id);
+    const models = filterModels(await getAvailableModels({ backend: getUserBackend(interaction.user.id) }), focused, allowed)
+        .slice(0, 25);
+    await interaction.respond(models.map(m => ({
+        name: m.name.slice(0, 100),
+        value: m.id.slice(0, 100)
+    })));
+}
+
+async function handleAgentCommand(interaction) {
+    const userId = interaction.user.id;
+    const name = interaction.options.getString('name');
+    const scope = interaction.options.getString('scope') || 'me';
+    const threadId = interaction.channel?.isThread() && threadToSession.has(interaction.channelId)
+        ? interaction.channelId
+        : null;
+    
+    if (scope === 'thread' && !threadId) {
+        await interaction.reply({ content: 'Thread agents can only be set inside a sync thread.', ephemeral: true });
+        return;
+    }
+    
+    await interaction.deferReply({ ephemeral: true });
+    const agents = await getAvailableAgents(userId);
+    
+    if (!name) {
+        const userAgent = getUserAgent(userId);
+        const threadAgent = threadId ? threadAgents.get(threadId) : null;
+        const lines = agents.map(agent => {
+            const marker = agent.name === (threadAgent || userAgent) ? ' ✅' : '';
+            return `\`${agent.name}\`${marker}${agent.description ? ` - ${agent.description.slice(0, 100)}` : ''}`;
+        });
+        
+        const embed = new EmbedBuilder()
+            .setColor(0x5865F2)
+            .setTitle('Agents')
+            .setDescription(lines.join('\n').slice(0, 4000) || 'No agents configured on the OpenCode server.')
+            .addFields({ name: 'Your Agent', value: userAgent ? `\`${userAgent}\`` : 'Server default', inline: true });
+        if (threadId) {
+            embed.addFields({ name: 'Thread Agent', value: threadAgent ? `\`${threadAgent}\`` : 'None (uses each user\'s agent)', inline: true });
+        }
+        embed.setFooter({ text: 'Use /agent name:<agent> to switch, or name:default to reset' });
+        
+        await interaction.editReply({ embeds: [embed] });
+        return;
+    }
+    
+    const store = scope === 'thread' ? threadAgents : userAgents;
+    const key = scope === 'thread' ? threadId : userId;
+    const target = scope === 'thread' ? 'This thread' : 'You';
+    
+    const audit = { ...getAuditContext(interaction), scope, previous: store.get(key) || null };
+    
+    if (name.toLowerCase() === 'default') {
+        store.delete(key);
+        writeAudit('agent.change', { ...audit, agent: null });
+        await interaction.editReply(`${target} will now use the default agent.`);
+        return;
+    }
+    
+    const agent = agents.find(a => a.name.toLowerCase() === name.toLowerCase());
+    if (!agent) {
+        await interaction.editReply(
+            `Agent "${name}" not found.\n\n` +
+            `Available: ${agents.map(a => `\`${a.name}\``).join(', ') || 'none'}`
+        );
+        return;
+    }
+    
+    store.set(key, agent.name);
+    writeAudit('agent.change', { ...audit, agent: agent.name });
+    await interaction.editReply(
+        `**Agent set to:** \`${agent.name}\`\n\n` +
+        `${target} will use this agent for the next prompt.`
+    );
+}
+
+// Session a command applies to: the sync thread's session, else the user's current one
+function getInteractionSessionId(interaction) {
+    const threadSession = interaction.channel?.isThread() ? threadToSession.get(interaction.channelId) : null;
+    return threadSession || userSessions.get(interaction.user.id) || null;
+}
+
+async function handleAbortCommand(interaction, auth) {
+    const sessionId = getInteractionSessionId(interaction);
+    
+    if (!sessionId) {
+        await interaction.reply({ content: 'No active session. Use `/new` to create one.', ephemeral: true });
+        return;
+    }
+    
+    // Same rule as the Stop button: the prompt's sender, the session's creator or an admin
+    if (!getPermissionApprovers(sessionId).includes(interaction.user.id) && !auth.isAdmin) {
+        await interaction.reply({ content: 'Only the person who sent this prompt can stop it.', ephemeral: true });
+        return;
+    }
+    
+    await interaction.deferReply({ ephemeral: true });
+    
+    const wasRunning = runningPrompts.has(sessionId);
+    await abortSession(sessionId);
+    writeAudit('session.abort', { ...getAuditContext(interaction), sessionId, status: wasRunning ? 'ok' : 'idle' });
+    
+    await interaction.editReply(wasRunning
+        ? `Aborted the running prompt in session \`${sessionId.slice(0, 8)}...\`. Partial output is kept.`
+        : `Nothing was running from Discord in session \`${sessionId.slice(0, 8)}...\`, sent an abort anyway.`);
+}
+
+async function handleExportCommand(interaction, auth) {
+    const userId = interaction.user.id;
+    const format = interaction.options.getString('format') || 'markdown';
+    const sessionArg = interaction.options.getString('session_id');
+    
+    // Transcripts can contain code and files from the project - only show them to the requester
+    await interaction.deferReply({ ephemeral: true });
+    
+    // Default to this sync thread's session, else the user's current one
+    const sessionId = sessionArg ? await resolveSessionId(userId, sessionArg) : getInteractionSessionId(interaction);
+    if (!sessionId) {
+        await interaction.editReply('Session not found. Use `/sessions` to see available sessions.');
+        return;
+    }
+    
+    // Exporting someone else's session needs admin (a sync thread's own session is open to the thread)
+    const isThreadSession = !sessionArg && interaction.channel?.isThread() &&
+        threadToSession.get(interaction.channelId) === sessionId;
+    if (!isThreadSession && sessionOwners.get(sessionId) !== userId && !auth.isAdmin) {
+        await interaction.editReply('You can only export sessions you created.');
+        return;
+    }
+    
+    const { data: session } = await getSessionClient(sessionId).session.get({ path: { id: sessionId } });
+    const entries = buildTranscript(await fetchSessionMessages(sessionId));
+    const meta = session || { id: sessionId };
+    
+    let content;
+    let extension;
+    if (format === 'json') {
+        content = JSON.stringify({ session: meta, exportedAt: new Date().toISOString(), messages: entries }, null, 2);
+        extension = 'json';
+    } else if (format === 'html') {
+        content = exportHtml(meta, entries);
+        extension = 'html';
+    } else {
+        content = exportMarkdown(meta, entries);
+        extension = 'md';
+    }
+    
+    const attachment = new AttachmentBuilder(Buffer.from(content, 'utf8'), {
+        name: `session-${sessionId.slice(0, 12)}.${extension}`
+    });
+    await interaction.editReply({
+        content: `Exported **${meta.title || 'session'}** (${entries.length} messages)`,
+        files: [attachment]
+    });
+}
+
+async function handleCompactCommand(interaction) {
+    const sessionId = getInteractionSessionId(interaction);
+    
+    if (!sessionId) {
+        await interaction.reply({ content: 'No active session. Use `/new` to create one.', ephemeral: true });
+        return;
+    }
+    
+    if (runningPrompts.has(sessionId)) {
+        await interaction.reply({ content: 'A prompt is still running in this session. Use `/abort` first.', ephemeral: true });
+        return;
+    }
+    
+    // Summarizing runs the model, so the user must be within their limits - it doesn't count as a prompt
+    const limitCheck = await checkPromptLimits(interaction.user.id, getUserModel(interaction.user.id));
+    if (!limitCheck.allowed) {
+        await interaction.reply({ content: limitCheck.reason, ephemeral: true });
+        return;
+    }
+    
+    await interaction.deferReply();
+    
+    const before = await getSessionStats(sessionId);
+    const { providerID, modelID } = parseModelId(getUserModel(interaction.user.id));
+    const result = await getSessionClient(sessionId).session.summarize({
+        path: { id: sessionId },
+        body: { providerID, modelID }
+    });
+    if (result?.error) {
+        throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
+    }
+    
+    contextWarnedSessions.delete(sessionId);
+    const after = await getSessionStats(sessionId);
+    
+    await interaction.editReply(
+        `**Session compacted**\n\n` +
+        `Session ID: \`${sessionId.slice(0, 8)}...\`\n` +
+        `Before: ${formatContextUsage(before.usage) || 'unknown'}\n` +
+        `After: ${formatContextUsage(after.usage) || 'unknown'}`
+    );
+}
+
+async function handleDiffCommand(interaction) {
+    const sessionId = getInteractionSessionId(interaction);
+    const fileFilter = interaction.options.getString('file');
+    const lastTurn = interaction.options.getBoolean('last_turn') || false;
+    
+    if (!sessionId) {
+        await interaction.reply({ content: 'No active session. Use `/new` to create one.', ephemeral: true });
+        return;
+    }
+    
+    await interaction.deferReply();
+    
+    // Limit to the last turn by asking for the diff since the last user message
+    let messageId = null;
+    if (lastTurn) {
+        const messages = await fetchSessionMessages(sessionId);
+        const lastUser = [...messages].reverse().find(m => (m.info?.role || m.role) === 'user');
+        messageId = lastUser?.info?.id || null;
+    }
+    
+    let fileDiffs = await getSessionDiff(sessionId, messageId);
+    if (fileFilter) {
+        // The full path, or its trailing segments (e.g. `client.js` or `src/client.js`)
+        const file = fileFilter.replace(/^\.?\/+/, '');
+        fileDiffs = fileDiffs.filter(d => d.file === file || d.file.endsWith(`/${file}`));
+    }
+    
+    const scope = [lastTurn ? 'last turn' : 'whole session', fileFilter ? `matching \`${fileFilter}\`` : null]
+        .filter(Boolean).join(', ');
+    
+    if (fileDiffs.length === 0) {
+        await interaction.editReply(`No file changes found (${scope}).`);
+        return;
+    }
+    
+    const { changes, diff } = summarizeFileDiffs(fileDiffs);
+    const additions = changes.reduce((sum, c) => sum + c.additions, 0);
+    const deletions = changes.reduce((sum, c) => sum + c.deletions, 0);
+    
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('Session Diff')
+        .setDescription(`**${changes.length}** file(s) changed, **+${additions}** / **-${deletions}** lines\nScope: ${scope}`)
+        .addFields(
+            { name: 'Session', value: `\`${sessionId.slice(0, 8)}...\``, inline: true },
+            { name: `Files (${changes.length})`, value: formatChangedFiles(changes, 20), inline: false }
+        )
+        .setTimestamp()
+        .setFooter({ text: 'Full unified diff attached' });
+    
+    const attachment = new AttachmentBuilder(Buffer.from(diff, 'utf8'), {
+        name: `session-${sessionId.slice(0, 12)}.diff`
+    });
+    await interaction.editReply({ embeds: [embed], files: [attachment] });
+}
+
+// ============================================
+// Undo / Redo
+// ============================================
+// /undo reverts the session to before its last user turn (code and messages),
+// /redo moves the revert point forward again. Both ask for confirmation first.
+// key -> { kind, sessionId, messageId, userId, excerpt, changes } awaiting confirmation
+const pendingReverts = new Map();
+
+// Work out what /undo or /redo would do for a session.
+// Returns { messageId (revert target, null = unrevert everything), turnMessage }, null if there's
+// nothing to do, or { revertPointMissing: true } if the session's revert point isn't in its messages.
+async function findRevertTarget(sessionId, kind) {
+    const { data: session } = await getSessionClient(sessionId).session.get({ path: { id: sessionId } });
+    const messages = await fetchSessionMessages(sessionId);
+    const isUser = (m) => (m.info?.role || m.role) === 'user';
+    const revertId = session?.revert?.messageID || null;
+    const revertIdx = revertId ? messages.findIndex(m => m.info?.id === revertId) : messages.length;
+    if (revertIdx === -1) return { revertPointMissing: true };
+    
+    if (kind === 'undo') {
+        // Last user turn before the current revert point
+        const turn = messages.slice(0, revertIdx).reverse().find(isUser);
+        return turn ? { messageId: turn.info.id, turnMessage: turn } : null;
+    }
+    
+    // Redo: restore the turn at the revert point, keeping later turns reverted
+    if (!revertId) return null;
+    const turnMessage = messages[revertIdx];
+    const nextTurn = messages.slice(revertIdx + 1).find(isUser);
+    return { messageId: nextTurn?.info.id || null, turnMessage };
+}
+
+// Reverse create/delete so a revert reads as what it does to the working tree
+function invertChanges(changes) {
+    const inverse = { create: 'delete', delete: 'create', edit: 'edit' };
+    return changes.map(c => ({
+        file: c.file,
+        action: inverse[c.action] || c.action,
+        additions: c.deletions,
+        deletions: c.additions
+    }));
+}
+
+async function handleRevertCommand(interaction, kind) {
+    const userId = interaction.user.id;
+    const sessionId = getInteractionSessionId(interaction);
+    
+    if (!sessionId) {
+        await interaction.reply({ content: 'No active session. Use `/new` to create one.', ephemeral: true });
+        return;
+    }
+    
+    await interaction.deferReply({ ephemeral: true });
+    
+    if (runningPrompts.has(sessionId)) {
+        await interaction.editReply('A prompt is still running in this session. Use `/abort` first.');
+        return;
+    }
+    
+    const target = await findRevertTarget(sessionId, kind);
+    if (!target) {
+        await interaction.editReply(kind === 'undo' ? 'Nothing to undo in this session.' : 'Nothing to redo in this session.');
+        return;
+    }
+    if (target.revertPointMissing) {
+        await interaction.editReply(`Can't find this session's revert point in its messages, so there's no safe turn to ${kind}.`);
+        return;
+    }
+    
+    const excerpt = extractMessageContent(target.turnMessage).slice(0, 200) || '*No text*';
+    let changes = [];
+    try {
+        ({ changes } = summarizeFileDiffs(await getSessionDiff(sessionId, target.turnMessage.info.id)));
+    } catch (error) {
+        console.error('Failed to load diff for revert preview:', error.message);
     }
+    
+    const key = interaction.id;
+    pendingReverts.set(key, { kind, sessionId, messageId: target.messageId, userId, excerpt, changes });
+    setTimeout(() => pendingReverts.delete(key), 10 * 60 * 1000);
+    
+    const embed = new EmbedBuilder()
+        .setColor(kind === 'undo' ? 0xEB459E : 0x57F287)
+        .setTitle(kind === 'undo' ? 'Undo last turn?' : 'Redo turn?')
+        .setDescription(`> ${excerpt.replace(/\n/g, '\n> ')}`)
+        .addFields(
+            { name: 'Session', value: `\`${sessionId.slice(0, 8)}...\``, inline: true },
+            { name: `Files (${changes.length})`, value: formatChangedFiles(kind === 'undo' ? invertChanges(changes) : changes), inline: false }
+        );
+    
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`revert_confirm_${key}`)
+            .setLabel(kind === 'undo' ? 'Undo' : 'Redo')
+            .setStyle(kind === 'undo' ? ButtonStyle.Danger : ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId(`revert_cancel_${key}`)
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+    );
+    
+    await interaction.editReply({ embeds: [embed], components: [row] });
 }
 
-// Split long messages for Discord (2000 char limit)
-function splitMessage(text, maxLength = 1900) {
-    if (text.length <= maxLength) return [text];
-    
-    const parts = [];
-    let remaining = text;
+// Apply a confirmed /undo or /redo
+async function applyRevert(pending) {
+    const { kind, sessionId, messageId } = pending;
+    const result = messageId
+        ? await getSessionClient(sessionId).session.revert({ path: { id: sessionId }, body: { messageID: messageId } })
+        : await getSessionClient(sessionId).session.unrevert({ path: { id: sessionId } });
     
-    while (remaining.length > 0) {
-        if (remaining.length <= maxLength) {
-            parts.push(remaining);
-            break;
-        }
-        
-        // Try to split at newline
-        let splitIndex = remaining.lastIndexOf('\n', maxLength);
-        if (splitIndex === -1 || splitIndex < maxLength / 2) {
-            // Try to split at space
-            splitIndex = remaining.lastIndexOf(' ', maxLength);
-        }
-        if (splitIndex === -1 || splitIndex < maxLength / 2) {
-            // Force split
-            splitIndex = maxLength;
-        }
-        
-        parts.push(remaining.slice(0, splitIndex));
-        remaining = remaining.slice(splitIndex).trim();
+    if (result?.error) {
+        throw new Error(`OpenCode API error: ${JSON.stringify(result.error)}`);
     }
     
-    return parts;
+    const changes = kind === 'undo' ? invertChanges(pending.changes) : pending.changes;
+    const summary = `${kind === 'undo' ? 'Undid' : 'Redid'} turn in session \`${sessionId.slice(0, 8)}...\`:\n> ${pending.excerpt}`;
+    await postChangelog(pending.userId, summary, changes, { action: kind === 'undo' ? 'revert' : 'restore' });
 }
 
-// Transcribe voice message using Whisper
-async function transcribeVoice(audioBuffer, mimeType) {
-    if (!process.env.OPENAI_API_KEY) {
-        throw new Error('OPENAI_API_KEY not configured for voice transcription');
+async function handleUsageCommand(interaction, auth) {
+    const userId = interaction.user.id;
+    const period = interaction.options.getString('period') || 'day';
+    const team = interaction.options.getBoolean('team') || false;
+    
+    if (team && !auth.isAdmin) {
+        await interaction.reply({ content: 'Only admins can view team-wide usage.', ephemeral: true });
+        return;
     }
     
-    // Save to temp file
-    const ext = mimeType.includes('ogg') ? 'ogg' : mimeType.includes('mp3') ? 'mp3' : 'wav';
-    const tempFile = path.join(os.tmpdir(), `voice_${Date.now()}.${ext}`);
-    fs.writeFileSync(tempFile, audioBuffer);
+    const { label } = USAGE_PERIODS[period];
+    const embed = team
+        ? buildUsageEmbed(`Team Usage - ${label}`, getUsageEntries(period), ['userId', 'model'])
+        : buildUsageEmbed(`Your Usage - ${label}`, getUsageEntries(period, userId), ['model', 'sessionId']);
+    embed.setFooter({ text: 'Days are counted in UTC · Cost as reported by the model provider' });
     
-    try {
-        const transcription = await openai.audio.transcriptions.create({
-            file: fs.createReadStream(tempFile),
-            model: 'whisper-1',
-        });
-        
-        return transcription.text;
-    } finally {
-        // Clean up temp file
-        try {
-            fs.unlinkSync(tempFile);
-        } catch (e) {
-            // Ignore cleanup errors
-        }
-    }
+    await interaction.reply({ embeds: [embed], ephemeral: true });
 }
 
-// Handle slash command interactions
-client.on('interactionCreate', async (interaction) => {
-    // Handle button interactions
-    if (interaction.isButton()) {
-        await handleButtonInteraction(interaction);
+async function handleAccessCommand(interaction, auth) {
+    const { guildId } = auth;
+    const subcommand = interaction.options.getSubcommand();
+    
+    if (subcommand === 'refresh') {
+        const target = interaction.options.getUser('user');
+        const count = invalidateAuthCache(target?.id);
+        console.log(`User ${interaction.user.id} refreshed the auth cache${target ? ` for ${target.id}` : ''}`);
+        await interaction.reply({
+            content: target
+                ? `Cleared cached roles for <@${target.id}>. They'll be re-checked on their next message.`
+                : `Cleared cached roles for ${count} user(s). Everyone will be re-checked on their next message.`,
+            ephemeral: true
+        });
         return;
     }
     
-    if (!interaction.isChatInputCommand()) return;
-    
-    const userId = interaction.user.id;
+    if (subcommand === 'list') {
+        const lines = getAllowedUsers(guildId).map(userId => {
+            const grant = accessGrants.get(accessKey(guildId, userId));
+            const source = grant
+                ? `added by <@${grant.by}> ${formatAge(grant.at)}`
+                : 'configured';
+            const admin = isFirstUserAdmin(guildId, userId) ? ' · first-user admin' : '';
+            return `<@${userId}> - ${source}${admin}`;
+        });
+        
+        const embed = new EmbedBuilder()
+            .setColor(0x5865F2)
+            .setTitle(`Allow-list (${lines.length})`)
+            .setDescription(lines.join('\n').slice(0, 4000) || 'Nobody is on the allow-list. Members can still get access through roles.')
+            .setFooter({ text: 'Role-based access is shown by /permissions' });
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+    }
     
-    // Check authorization first (works in both DMs and public channels)
-    const auth = await checkUserAuthorized(userId);
+    const target = interaction.options.getUser('user');
     
-    // Handle first user setup
-    if (auth.isFirstUser) {
-        await interaction.reply(
-            `You are the first user to message this bot.\n\n` +
-            `Adding you as admin (user ID: ${userId}).\n\n` +
-            `The bot will restart now. Please message again in a few seconds.`
-        );
-        addUserToEnvAndExit(userId);
+    if (subcommand === 'allow') {
+        if (isAllowedUser(guildId, target.id)) {
+            await interaction.reply({ content: `<@${target.id}> is already on the allow-list.`, ephemeral: true });
+            return;
+        }
+        allowUser(guildId, target.id, interaction.user.id);
+        console.log(`User ${interaction.user.id} allowed ${target.id} in guild ${guildId}`);
+        writeAudit('access.allow', { ...getAuditContext(interaction), guildId, targetId: target.id });
+        await interaction.reply({ content: `<@${target.id}> can now use the bot.`, ephemeral: true });
         return;
     }
     
-    if (!auth.authorized) {
+    if (subcommand === 'revoke') {
+        if (target.id === interaction.user.id) {
+            await interaction.reply({ content: 'You can\'t revoke your own access.', ephemeral: true });
+            return;
+        }
+        if (!isAllowedUser(guildId, target.id) && !isFirstUserAdmin(guildId, target.id)) {
+            await interaction.reply({ content: `<@${target.id}> isn't on the allow-list.`, ephemeral: true });
+            return;
+        }
+        const admins = getFirstUserAdmins(guildId);
+        if (admins.length === 1 && admins[0] === target.id) {
+            await interaction.reply({ content: `<@${target.id}> is this server's last first-user admin and can't be revoked.`, ephemeral: true });
+            return;
+        }
+        revokeUser(guildId, target.id);
+        console.log(`User ${interaction.user.id} revoked ${target.id} in guild ${guildId}`);
+        writeAudit('access.revoke', { ...getAuditContext(interaction), guildId, targetId: target.id });
         await interaction.reply({
-            content: auth.reason,
+            content: `<@${target.id}> was removed from the allow-list. They keep any access their roles grant.`,
             ephemeral: true
         });
+    }
+}
+
+async function handlePermissionsCommand(interaction, auth) {
+    const target = interaction.options.getUser('user') || interaction.user;
+    
+    if (target.id !== interaction.user.id && !auth.isAdmin) {
+        await interaction.reply({ content: 'Only admins can inspect other members\' permissions.', ephemeral: true });
         return;
     }
     
-    const { commandName } = interaction;
+    await interaction.deferReply({ ephemeral: true });
     
-    try {
-        switch (commandName) {
-            case 'start':
-                await handleStartCommand(interaction);
-                break;
-            case 'new':
-                await handleNewCommand(interaction);
-                break;
-            case 'sessions':
-                await handleSessionsCommand(interaction);
-                break;
-            case 'model':
-                await handleModelCommand(interaction);
-                break;
-            case 'models':
-                await handleModelsCommand(interaction);
-                break;
-            case 'help':
-                await handleHelpCommand(interaction);
-                break;
-            default:
-                await interaction.reply('Unknown command');
+    const targetAuth = await checkUserAuthorized(target.id, auth.guildId);
+    const { sources } = await getUserCapabilities(target.id, auth.guildId);
+    const lines = Object.entries(CAPABILITIES).map(([capability, label]) => {
+        if (!targetAuth.capabilities.has(capability)) return `❌ ${label}`;
+        const via = sources[capability] ? ` - via ${sources[capability].join(', ')}` : '';
+        return `✅ ${label}${via}`;
+    });
+    const roles = await getMemberRoles(target.id, auth.guildId);
+    
+    const embed = new EmbedBuilder()
+        .setColor(targetAuth.authorized ? 0x57F287 : 0xED4245)
+        .setTitle(`Permissions for ${target.username}`)
+        .setDescription(lines.join('\n'))
+        .addFields({
+            name: 'Roles',
+            value: roles.filter(r => r.name !== '@everyone').map(r => `<@&${r.id}>`).join(' ').slice(0, 1024) || 'None'
+        });
+    if (targetAuth.isFirstUser) {
+        embed.setFooter({ text: 'No allow-list configured yet - everyone is treated as the first admin' });
+    } else if (!targetAuth.authorized) {
+        embed.setFooter({ text: 'No access to the bot' });
+    }
+    
+    await interaction.editReply({ embeds: [embed] });
+}
+
+function formatLimitValue(field, value) {
+    if (value === null || value === undefined) return 'Unlimited';
+    if (field === 'models') return value.map(m => `\`${m}\``).join(', ') || 'None';
+    if (field === 'dailyCost') return formatCost(value);
+    if (field === 'dailyTokens') return formatTokens(value);
+    return String(value);
+}
+
+async function handleLimitsCommand(interaction, auth) {
+    const subcommand = interaction.options.getSubcommand();
+    const target = interaction.options.getUser('user') || interaction.user;
+    
+    if ((subcommand !== 'show' || target.id !== interaction.user.id) && !auth.isAdmin) {
+        await interaction.reply({ content: 'Only admins can view or change other users\' limits.', ephemeral: true });
+        return;
+    }
+    
+    if (subcommand === 'set') {
+        const field = interaction.options.getString('limit');
+        const raw = interaction.options.getString('value').trim();
+        const overrides = { ...limitOverrides.get(target.id) };
+        
+        if (raw.toLowerCase() === 'default') {
+            delete overrides[field];
+        } else if (raw.toLowerCase() === 'unlimited') {
+            overrides[field] = null;
+        } else if (field === 'models') {
+            overrides[field] = raw.split(',').map(m => m.trim()).filter(Boolean);
+        } else {
+            const value = parseFloat(raw);
+            if (!Number.isFinite(value) || value < 0) {
+                await interaction.reply({ content: 'Value must be a number, `unlimited` or `default`.', ephemeral: true });
+                return;
+            }
+            overrides[field] = value;
         }
-    } catch (error) {
-        console.error(`Error handling command ${commandName}:`, error);
-        const errorMessage = `Error: ${error.message}`;
-        if (interaction.replied || interaction.deferred) {
-            await interaction.followUp(errorMessage);
+        
+        if (Object.keys(overrides).length > 0) {
+            limitOverrides.set(target.id, overrides);
         } else {
-            await interaction.reply(errorMessage);
+            limitOverrides.delete(target.id);
         }
+        writeAudit('limits.set', { ...getAuditContext(interaction), targetId: target.id, setting: field, value: raw });
+    } else if (subcommand === 'clear') {
+        limitOverrides.delete(target.id);
+        writeAudit('limits.clear', { ...getAuditContext(interaction), targetId: target.id });
     }
-});
-
-// Command handlers
-async function handleStartCommand(interaction) {
-    const userId = interaction.user.id;
-    const currentModel = getUserModel(userId);
+    
+    const limits = await getUserLimits(target.id);
+    const overrides = limitOverrides.get(target.id) || {};
+    const { recent, tokens, cost } = getLimitUsage(target.id);
+    const current = {
+        promptsPerHour: `${recent.length} this hour`,
+        dailyTokens: `${formatTokens(tokens)} today`,
+        dailyCost: `${formatCost(cost)} today`,
+        models: `Current: \`${getUserModel(target.id)}\``
+    };
     
     const embed = new EmbedBuilder()
         .setColor(0x5865F2)
-        .setTitle('Welcome to OpenDiscord!')
-        .setDescription('I connect you to OpenCode AI assistant.')
-        .addFields(
-            { name: 'Current Model', value: `\`${currentModel}\``, inline: false },
-            { name: 'Commands', value: 
-                '`/new` - Start a new session\n' +
-                '`/sessions` - List your sessions\n' +
-                '`/models` - Browse available models\n' +
-                '`/model` - Show/set current model\n' +
-                '`/help` - Show help'
-            },
-            { name: 'Features', value:
-                '**Text messages** - Chat with the AI\n' +
-                '**Voice messages** - Send voice to transcribe and chat\n' +
-                '**Images** - Send images with optional description for AI analysis'
-            }
-        )
-        .setFooter({ text: 'Just send me any message to start chatting!' });
+        .setTitle(`Limits for ${target.username}`)
+        .addFields(Object.entries(LIMIT_FIELDS).map(([field, name]) => ({
+            name: field in overrides ? `${name} (override)` : name,
+            value: `${formatLimitValue(field, limits[field])}\n${current[field]}`.slice(0, 1024),
+            inline: field !== 'models'
+        })))
+        .setFooter({ text: 'Daily budgets reset at 00:00 UTC' });
     
-    await interaction.reply({ embeds: [embed] });
+    await interaction.reply({ embeds: [embed], ephemeral: true });
 }
 
-async function handleNewCommand(interaction) {
-    const userId = interaction.user.id;
-    
-    await interaction.deferReply();
-    
+// Parse a /config backend URL (http/https only), without a trailing slash
+function parseBackendUrl(value) {
     try {
-        const { data: newSession } = await opencode.session.create({});
-        userSessions.set(userId, newSession.id);
-        // Mark as Discord-initiated so we don't sync back to Discord
-        discordInitiatedSessions.add(newSession.id);
-        
-        await interaction.editReply(
-            `New session created!\n\n` +
-            `Session ID: \`${newSession.id}\`\n\n` +
-            `Send me a message to start chatting.`
-        );
-    } catch (error) {
-        await interaction.editReply(`Error creating session: ${error.message}`);
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href.replace(/\/+$/, '') : null;
+    } catch {
+        return null;
     }
 }
 
-async function handleSessionsCommand(interaction) {
-    await interaction.deferReply();
+// Handle /config show | set | reset | role for the guild the admin acts in
+async function handleConfigCommand(interaction, auth) {
+    const { guildId } = auth;
+    const subcommand = interaction.options.getSubcommand();
     
-    try {
-        const { data: sessions } = await opencode.session.list();
+    if (subcommand !== 'show') {
+        await interaction.deferReply({ ephemeral: true });
+    }
+    
+    if (subcommand === 'set') {
+        const setting = interaction.options.getString('setting');
+        let value = interaction.options.getString('value').trim();
         
-        if (!sessions || sessions.length === 0) {
-            await interaction.editReply('No sessions found. Use `/new` to create one.');
-            return;
+        if (setting === 'opencodeUrl') {
+            value = parseBackendUrl(value);
+            if (!value) {
+                await interaction.editReply('The backend URL must be an `http://` or `https://` URL.');
+                return;
+            }
+        } else if (setting === 'defaultModel') {
+            const models = await getAvailableModels({ backend: getGuildConfig(guildId).opencodeUrl });
+            if (models.length > 0 && !models.some(m => m.id === value)) {
+                await interaction.editReply(`Model \`${value}\` isn't available on this server's backend. Run \`/models\` to see the list.`);
+                return;
+            }
         }
+        updateGuildConfig(guildId, { [setting]: value });
+    } else if (subcommand === 'reset') {
+        updateGuildConfig(guildId, { [interaction.options.getString('setting')]: undefined });
+    } else if (subcommand === 'role') {
+        const role = interaction.options.getRole('role');
+        const raw = interaction.options.getString('capabilities').trim().toLowerCase();
+        const roles = { ...getGuildConfig(guildId).roles };
         
-        const sessionList = sessions.slice(0, 10).map((s, i) => 
-            `${i + 1}. \`${s.id.slice(0, 8)}...\` - ${s.title || 'Untitled'}`
-        ).join('\n');
-        
-        const currentSession = userSessions.get(interaction.user.id);
-        
-        await interaction.editReply(
-            `**Recent sessions:**\n\n${sessionList}\n\n` +
-            `Current: \`${currentSession ? currentSession.slice(0, 8) + '...' : 'none'}\``
-        );
-    } catch (error) {
-        await interaction.editReply(`Error listing sessions: ${error.message}`);
+        if (raw === 'none') {
+            delete roles[role.id];
+            delete roles[role.name];
+        } else {
+            const list = raw.split(',').map(c => c.trim()).filter(Boolean);
+            const unknown = list.filter(c => c !== '*' && !CAPABILITIES[c]);
+            if (list.length === 0 || unknown.length > 0) {
+                await interaction.editReply(
+                    `Unknown capability: ${unknown.map(c => `\`${c}\``).join(', ') || 'none given'}.\n\n` +
+                    `Use a comma-separated list of ${Object.keys(CAPABILITIES).map(c => `\`${c}\``).join(', ')}, \`*\` or \`none\`.`
+                );
+                return;
+            }
+            delete roles[role.name];
+            roles[role.id] = list;
+        }
+        updateGuildConfig(guildId, { roles });
     }
-}
-
-async function handleModelCommand(interaction) {
-    const userId = interaction.user.id;
-    const modelArg = interaction.options.getString('model_id');
-    const currentModel = getUserModel(userId);
     
-    if (modelArg) {
-        await interaction.deferReply();
-        
-        const models = await getAvailableModels();
-        const model = models.find(m => 
-            m.id === modelArg || 
-            m.name.toLowerCase().includes(modelArg.toLowerCase())
-        );
+    if (subcommand !== 'show') {
+        console.log(`User ${interaction.user.id} changed the config of guild ${guildId} (${subcommand})`);
+        const setting = interaction.options.getString('setting');
+        const role = interaction.options.getRole('role');
+        writeAudit(`config.${subcommand}`, {
+            ...getAuditContext(interaction),
+            guildId,
+            setting: role ? `@${role.name}` : setting,
+            value: interaction.options.getString('value') ?? interaction.options.getString('capabilities') ?? undefined
+        });
         
-        if (model) {
-            userModels.set(userId, model.id);
-            await interaction.editReply(
-                `**Model set to:** ${model.name}\n\n` +
-                `ID: \`${model.id}\`\n\n` +
-                `Your next message will use this model.`
-            );
-        } else {
-            await interaction.editReply(
-                `Model "${modelArg}" not found in the available list.\n\n` +
-                `Run \`/models\` to see all available models.`
-            );
+        // Apply channel and backend changes right away
+        if (setting === 'changelogChannel') {
+            await ensureChangelogChannel(guildId);
+        } else if (setting === 'syncChannel') {
+            syncChannels.delete(guildId);
+            await ensureSyncChannel(guildId);
+        } else if (setting === 'opencodeUrl') {
+            startBackendSubscriptions();
         }
-    } else {
-        await interaction.reply(
-            `**Current Model:**\n\`${currentModel}\`\n\n` +
-            `Run \`/models\` to see and select other models.\n` +
-            `Or use \`/model model_id:<model-id>\` to set a specific model.`
-        );
     }
-}
-
-async function handleModelsCommand(interaction) {
-    await interaction.deferReply();
     
-    const userId = interaction.user.id;
-    const currentModel = getUserModel(userId);
-    const filter = interaction.options?.getString('filter')?.toLowerCase() || '';
+    const config = getGuildConfig(guildId);
+    const overrides = guildConfigs[guildId] || {};
+    const roleLines = Object.entries(config.roles).map(([key, list]) => {
+        const name = /^\d+$/.test(key) ? `<@&${key}>` : `\`${key}\``;
+        return `${name} - ${list.includes('*') ? 'everything' : list.join(', ') || 'nothing'}`;
+    });
     
-    let models = await getAvailableModels();
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle(subcommand === 'show' ? 'Server Config' : 'Server Config Updated')
+        .addFields(
+            ...Object.entries(GUILD_SETTINGS).map(([setting, name]) => ({
+                name: setting in overrides ? name : `${name} (default)`,
+                value: `\`${config[setting]}\``,
+                inline: setting !== 'opencodeUrl'
+            })),
+            { name: 'Role capabilities', value: roleLines.join('\n').slice(0, 1024) || 'None', inline: false },
+            { name: 'Allow-list', value: `${getAllowedUsers(guildId).length} user(s) - see \`/access list\``, inline: false }
+        )
+        .setFooter({ text: `Guild ${guildId} · Saved in ${path.basename(GUILD_CONFIG_FILE)}` });
     
-    // Apply filter if provided
-    if (filter) {
-        models = models.filter(m => 
-            m.name.toLowerCase().includes(filter) || 
-            m.id.toLowerCase().includes(filter)
-        );
+    if (subcommand === 'show') {
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    } else {
+        await interaction.editReply({ embeds: [embed] });
     }
+}
+
+// Handle /audit: search this guild's audit entries by user, day, session and action
+async function handleAuditCommand(interaction, auth) {
+    const user = interaction.options.getUser('user');
+    const date = interaction.options.getString('date')?.trim().toLowerCase();
+    const sessionId = interaction.options.getString('session')?.trim();
+    const action = interaction.options.getString('action');
     
-    if (models.length === 0) {
-        const msg = filter 
-            ? `No models found matching "${filter}". Try a different filter.`
-            : 'Unable to load models. Please try again later.';
-        await interaction.editReply(msg);
+    const day = date === 'today' ? getUsageDay() : date;
+    if (day && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+        await interaction.reply({ content: 'Date must be `YYYY-MM-DD` (UTC) or `today`.', ephemeral: true });
         return;
     }
     
-    // Create a button map for this interaction (maps button index -> model)
-    const buttonMap = new Map();
+    await interaction.deferReply({ ephemeral: true });
     
-    // Create buttons for first 25 models (Discord limit)
-    const rows = [];
-    const pageSize = 5; // 5 buttons per row
-    const maxButtons = 20; // 4 rows of 5 buttons
+    const entries = await searchAudit({ guildId: auth.guildId, userId: user?.id, day, sessionId, action });
+    const criteria = [
+        user && `user <@${user.id}>`,
+        day && `on ${day}`,
+        sessionId && `session \`${sessionId}\``,
+        action && `action \`${action}\``
+    ].filter(Boolean).join(', ') || 'everything';
     
-    for (let i = 0; i < Math.min(models.length, maxButtons); i += pageSize) {
-        const row = new ActionRowBuilder();
-        
-        for (let j = i; j < Math.min(i + pageSize, models.length, maxButtons); j++) {
-            const model = models[j];
-            const isSelected = model.id === currentModel;
-            
-            // Store model in button map
-            buttonMap.set(j, model);
-            
-            row.addComponents(
-                new ButtonBuilder()
-                    .setCustomId(`model_${j}`)
-                    .setLabel(model.name.slice(0, 80))
-                    .setStyle(isSelected ? ButtonStyle.Success : ButtonStyle.Secondary)
-            );
-        }
-        
-        rows.push(row);
+    if (entries.length === 0) {
+        await interaction.editReply(`No audit entries match ${criteria}.`);
+        return;
+    }
+    
+    // Newest first; the attachment has every match
+    const lines = [];
+    let length = 0;
+    for (const entry of entries.slice(-15).reverse()) {
+        const line = formatAuditEntry(entry);
+        if (length + line.length > 3900) break;
+        lines.push(line);
+        length += line.length + 1;
     }
     
-    // Add navigation if more models (store remaining models for pagination)
-    if (models.length > maxButtons) {
-        // Store all models for pagination
-        for (let j = maxButtons; j < models.length; j++) {
-            buttonMap.set(j, models[j]);
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle(`Audit Log (${entries.length} match${entries.length === 1 ? '' : 'es'})`)
+        .setDescription(`Matching ${criteria}\n\n${lines.join('\n')}`)
+        .setFooter({ text: `Showing the latest ${lines.length} · Full results attached` });
+    const attachment = new AttachmentBuilder(
+        Buffer.from(entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8'),
+        { name: 'audit.jsonl' }
+    );
+    
+    await interaction.editReply({ embeds: [embed], files: [attachment] });
+}
+
+async function handleSettingsCommand(interaction) {
+    const userId = interaction.user.id;
+    let updated = false;
+    
+    for (const key of ['delivery', 'tools']) {
+        const value = interaction.options.getString(key);
+        if (value) {
+            setUserPreference(userId, key, value);
+            updated = true;
         }
-        
-        const navRow = new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder()
-                    .setCustomId('models_page_1')
-                    .setLabel(`More models (${maxButtons + 1}-${Math.min(models.length, maxButtons * 2)})`)
-                    .setStyle(ButtonStyle.Primary)
-            );
-        rows.push(navRow);
     }
     
-    const filterMsg = filter ? ` matching "${filter}"` : '';
-    const reply = await interaction.editReply({
-        content: `**Available Models${filterMsg}** (${models.length} total)\n\nTap a model to select it.\n\nCurrent: \`${currentModel}\``,
-        components: rows
-    });
-    
-    // Store the button map keyed by the interaction ID
-    modelButtonMaps.set(interaction.id, buttonMap);
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle(updated ? 'Settings Updated' : 'Your Settings')
+        .addFields(
+            { name: 'Response delivery', value: DELIVERY_MODES[getUserPreference(userId, 'delivery')], inline: false },
+            { name: 'Tool calls', value: TOOL_VERBOSITY[getUserPreference(userId, 'tools')], inline: false }
+        )
+        .setFooter({ text: 'Change with /settings' });
     
-    // Clean up old maps after 10 minutes
-    setTimeout(() => modelButtonMaps.delete(interaction.id), 10 * 60 * 1000);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
 }
 
 async function handleHelpCommand(interaction) {
@@ -1139,9 +4488,23 @@ async function handleHelpCommand(interaction) {
             { name: 'Commands', value:
                 '`/start` - Welcome message\n' +
                 '`/new` - Start a new chat session\n' +
-                '`/sessions` - List recent sessions\n' +
+                '`/sessions` - List and resume sessions\n' +
+                '`/session` - Rename or delete a session\n' +
                 '`/model` - Show current model and set a new one\n' +
                 '`/models` - Browse and select available models\n' +
+                '`/agent` - List agents and choose one for you or a sync thread\n' +
+                '`/abort` - Stop the running prompt\n' +
+                '`/export` - Download a session transcript\n' +
+                '`/diff` - Show the files a session changed\n' +
+                '`/compact` - Summarize a long session to free up context\n' +
+                '`/usage` - Show your token usage and cost\n' +
+                '`/limits` - Show your rate limits and budgets\n' +
+                '`/permissions` - Show what you (or a member) may do\n' +
+                '`/access` - Manage who can use the bot (admins)\n' +
+                '`/config` - Show or change this server\'s bot settings (admins)\n' +
+                '`/audit` - Search the log of prompts and admin actions (admins)\n' +
+                '`/undo` / `/redo` - Roll back or restore the last AI turn\n' +
+                '`/settings` - Choose how responses are delivered\n' +
                 '`/help` - Show this help'
             },
             { name: 'Features', value:
@@ -1156,7 +4519,7 @@ async function handleHelpCommand(interaction) {
             },
             { name: 'Tips', value:
                 '- Use `/new` to start fresh\n' +
-                '- Long responses may be split into multiple messages\n' +
+                '- Long responses show the last section - tap Expand or change `/settings` to see more\n' +
                 '- Voice messages are transcribed using OpenAI Whisper'
             }
         );
@@ -1164,114 +4527,409 @@ async function handleHelpCommand(interaction) {
     await interaction.reply({ embeds: [embed] });
 }
 
+// ============================================
+// Model Picker
+// ============================================
+// /models is a two-step select menu: provider, then model. Custom IDs carry the
+// invoking user's ID; the filter and chosen provider are kept per picker message.
+const MODEL_PICKER_PAGE_SIZE = 25; // Discord's select menu option limit
+const MODEL_PICKER_TTL = 10 * 60 * 1000;
+// messageId -> { userId, filter, allowed, providerId }
+const modelPickers = new Map();
+
+async function handleModelsCommand(interaction) {
+    await interaction.deferReply();
+    
+    const userId = interaction.user.id;
+    const filter = interaction.options.getString('filter')?.toLowerCase() || '';
+    const { models: allowed } = await getUserLimits(userId);
+    const backend = getUserBackend(userId);
+    const models = filterModels(await getAvailableModels({ backend }), filter, allowed);
+    
+    if (models.length === 0) {
+        const msg = filter 
+            ? `No models found matching "${filter}". Try a different filter.`
+            : 'Unable to load models. Please try again later.';
+        await interaction.editReply(msg);
+        return;
+    }
+    
+    // Skip the provider step when only one provider matches
+    const providerIds = [...new Set(models.map(m => m.providerId))];
+    const picker = { userId, filter, allowed, backend, providerId: providerIds.length === 1 ? providerIds[0] : null };
+    const payload = picker.providerId
+        ? buildModelPicker(picker, models, 0)
+        : buildProviderPicker(picker, models);
+    
+    const reply = await interaction.editReply(payload);
+    modelPickers.set(reply.id, picker);
+    setTimeout(() => modelPickers.delete(reply.id), MODEL_PICKER_TTL);
+}
+
+// Models matching a search filter (and, if given, a model allow-list)
+function filterModels(models, filter, allowed = null) {
+    if (allowed) {
+        models = models.filter(m => isModelAllowed({ models: allowed }, m.id));
+    }
+    if (!filter) return models;
+    return models.filter(m => 
+        m.name.toLowerCase().includes(filter) || 
+        m.id.toLowerCase().includes(filter)
+    );
+}
+
+function buildProviderPicker(picker, models) {
+    const currentModel = getUserModel(picker.userId);
+    const providers = new Map();
+    for (const model of models) {
+        const provider = providers.get(model.providerId) || { name: model.providerName, count: 0 };
+        provider.count++;
+        providers.set(model.providerId, provider);
+    }
+    
+    const options = [...providers].slice(0, MODEL_PICKER_PAGE_SIZE).map(([id, provider]) => ({
+        label: provider.name.slice(0, 100),
+        description: `${provider.count} model${provider.count === 1 ? '' : 's'}`,
+        value: id,
+        default: currentModel.startsWith(`${id}/`)
+    }));
+    
+    const filterMsg = picker.filter ? ` matching "${picker.filter}"` : '';
+    const more = providers.size > options.length
+        ? `\n\nShowing ${options.length} of ${providers.size} providers - use the \`filter\` option to narrow down.`
+        : '';
+    
+    return {
+        content: `**Available Models${filterMsg}** (${models.length} total)\n\nPick a provider.${more}\n\nCurrent: \`${currentModel}\``,
+        components: [
+            new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(`models_provider_${picker.userId}`)
+                    .setPlaceholder('Choose a provider')
+                    .addOptions(options)
+            )
+        ]
+    };
+}
+
+function buildModelPicker(picker, models, page) {
+    const currentModel = getUserModel(picker.userId);
+    const providerModels = models.filter(m => m.providerId === picker.providerId);
+    const totalPages = Math.max(1, Math.ceil(providerModels.length / MODEL_PICKER_PAGE_SIZE));
+    page = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageModels = providerModels.slice(page * MODEL_PICKER_PAGE_SIZE, (page + 1) * MODEL_PICKER_PAGE_SIZE);
+    
+    const rows = [
+        new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`models_model_${picker.userId}`)
+                .setPlaceholder('Choose a model')
+                .addOptions(pageModels.map(m => ({
+                    label: m.modelId.slice(0, 100),
+                    description: formatModelCapabilities(m).slice(0, 100) || undefined,
+                    value: m.id.slice(0, 100),
+                    default: m.id === currentModel
+                })))
+        )
+    ];
+    
+    const nav = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`models_back_${picker.userId}`)
+            .setLabel('Providers')
+            .setStyle(ButtonStyle.Secondary)
+    );
+    if (totalPages > 1) {
+        nav.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`models_page_${picker.userId}_${page - 1}`)
+                .setLabel('Previous')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(page === 0),
+            new ButtonBuilder()
+                .setCustomId(`models_page_${picker.userId}_${page + 1}`)
+                .setLabel('Next')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(page >= totalPages - 1)
+        );
+    }
+    rows.push(nav);
+    
+    const providerName = providerModels[0]?.providerName || picker.providerId;
+    const pageInfo = totalPages > 1 ? `, page ${page + 1}/${totalPages}` : '';
+    return {
+        content: `**${providerName} Models** (${providerModels.length} total${pageInfo})\n\nPick a model.\n\nCurrent: \`${currentModel}\``,
+        components: rows
+    };
+}
+
+// Resolve the picker behind a /models component, rejecting other users' clicks
+async function getModelPicker(interaction) {
+    const ownerId = interaction.customId.split('_')[2];
+    if (ownerId !== interaction.user.id) {
+        await interaction.reply({ content: 'This model picker belongs to someone else. Run `/models` to open your own.', ephemeral: true });
+        return null;
+    }
+    
+    const picker = modelPickers.get(interaction.message.id);
+    if (!picker) {
+        await interaction.update({ content: 'Model selection expired. Please run `/models` again.', components: [] });
+        return null;
+    }
+    return picker;
+}
+
 // Handle button interactions
 async function handleButtonInteraction(interaction) {
     const userId = interaction.user.id;
     const customId = interaction.customId;
     
-    // Handle model selection
-    if (customId.startsWith('model_')) {
-        const idx = parseInt(customId.replace('model_', ''), 10);
+    // Handle Allow/Deny on a relayed permission request
+    if (customId.startsWith('perm_')) {
+        const [, response, ...rest] = customId.split('_');
+        const permissionId = rest.join('_'); // Permission IDs contain underscores (per_...)
+        const pending = pendingPermissions.get(permissionId);
         
-        // Try to find the model from stored button maps
-        // Check by message reference (the original interaction that created the buttons)
-        let model = null;
+        if (!pending) {
+            await interaction.update({ content: 'This permission request has already been answered or expired.', components: [] });
+            return;
+        }
         
-        // Look through all button maps to find one that has this index
-        for (const [interactionId, buttonMap] of modelButtonMaps) {
-            if (buttonMap.has(idx)) {
-                model = buttonMap.get(idx);
-                break;
-            }
+        const { sessionId } = pending;
+        const auth = await checkUserAuthorized(userId, interaction.guildId);
+        if (!(await requireCapability(interaction, auth, 'approve'))) return;
+        if (!getPermissionApprovers(sessionId).includes(userId) && !auth.isAdmin) {
+            await interaction.reply({ content: 'Only the session owner or an admin can answer this request.', ephemeral: true });
+            return;
         }
         
-        if (model) {
-            userModels.set(userId, model.id);
-            
-            await interaction.update({
-                content: `**Model Changed**\n\n**${model.name}**\n\`${model.id}\`\n\nYour next message will use this model.`,
+        await interaction.deferUpdate();
+        try {
+            await respondToPermission(sessionId, permissionId, response);
+            await resolvePermissionMessage(permissionId, response, userId);
+            console.log(`User ${userId} answered permission ${permissionId}: ${response}`);
+            writeAudit('permission.reply', { ...getAuditContext(interaction), sessionId, permissionId, status: response });
+        } catch (error) {
+            await interaction.followUp({ content: `Error answering permission: ${error.message}`, ephemeral: true });
+        }
+        return;
+    }
+    
+    // Handle /undo and /redo confirmation
+    if (customId.startsWith('revert_confirm_') || customId.startsWith('revert_cancel_')) {
+        const confirmed = customId.startsWith('revert_confirm_');
+        const key = customId.replace(/^revert_(confirm|cancel)_/, '');
+        const pending = pendingReverts.get(key);
+        
+        if (!pending) {
+            await interaction.update({ content: 'This confirmation has expired. Run the command again.', embeds: [], components: [] });
+            return;
+        }
+        
+        const auth = await checkUserAuthorized(userId, interaction.guildId);
+        if (!(await requireCapability(interaction, auth, 'chat'))) return;
+        pendingReverts.delete(key);
+        
+        if (!confirmed) {
+            await interaction.update({ content: 'Cancelled.', embeds: [], components: [] });
+            return;
+        }
+        
+        await interaction.deferUpdate();
+        try {
+            await applyRevert(pending);
+            writeAudit(`session.${pending.kind}`, { ...getAuditContext(interaction), sessionId: pending.sessionId });
+            await interaction.editReply({
+                content: pending.kind === 'undo' ? 'Turn undone. Files and messages were rolled back.' : 'Turn restored.',
                 components: []
             });
-        } else {
-            await interaction.reply({
-                content: 'Model selection expired. Please run `/models` again.',
-                ephemeral: true
-            });
+        } catch (error) {
+            await interaction.editReply({ content: `Error: ${error.message}`, components: [] });
         }
         return;
     }
     
-    // Handle pagination
-    if (customId.startsWith('models_page_')) {
-        const page = parseInt(customId.replace('models_page_', ''), 10);
-        const pageSize = 20;
-        const start = page * pageSize;
-        const currentModel = getUserModel(userId);
+    // Handle Stop button on a live reply
+    if (customId.startsWith('abort_')) {
+        const sessionId = customId.replace('abort_', '');
+        
+        const auth = await checkUserAuthorized(userId, interaction.guildId);
+        if (!(await requireCapability(interaction, auth, 'chat'))) return;
         
-        const models = await getAvailableModels();
-        const pageModels = models.slice(start, start + pageSize);
+        // Only the person whose prompt is running, the session's creator or an admin may stop it
+        if (!getPermissionApprovers(sessionId).includes(userId) && !auth.isAdmin) {
+            await interaction.reply({ content: 'Only the person who sent this prompt can stop it.', ephemeral: true });
+            return;
+        }
         
-        // Create a new button map for this page
-        const buttonMap = new Map();
+        await interaction.deferUpdate();
+        try {
+            await abortSession(sessionId);
+            writeAudit('session.abort', { ...getAuditContext(interaction), sessionId });
+            console.log(`User ${userId} aborted session ${sessionId.slice(0, 8)}`);
+        } catch (error) {
+            await interaction.followUp({ content: `Error aborting: ${error.message}`, ephemeral: true });
+        }
+        return;
+    }
+    
+    // Handle Cancel button on a queued prompt
+    if (customId.startsWith('queue_cancel_')) {
+        const itemId = customId.replace('queue_cancel_', '');
+        const found = findQueuedPrompt(itemId);
         
-        const rows = [];
-        const buttonsPerRow = 5;
+        if (!found) {
+            await interaction.update({ content: 'This prompt is no longer queued.', components: [] });
+            return;
+        }
         
-        for (let i = 0; i < pageModels.length; i += buttonsPerRow) {
-            const row = new ActionRowBuilder();
-            
-            for (let j = i; j < Math.min(i + buttonsPerRow, pageModels.length); j++) {
-                const model = pageModels[j];
-                const globalIdx = start + j;
-                const isSelected = model.id === currentModel;
-                
-                // Store in button map
-                buttonMap.set(globalIdx, model);
-                
-                row.addComponents(
-                    new ButtonBuilder()
-                        .setCustomId(`model_${globalIdx}`)
-                        .setLabel(model.name.slice(0, 80))
-                        .setStyle(isSelected ? ButtonStyle.Success : ButtonStyle.Secondary)
-                );
+        // Only the user who queued the prompt (or an admin) may cancel it
+        if (found.item.userId !== userId) {
+            const auth = await checkUserAuthorized(userId, interaction.guildId);
+            if (!auth.isAdmin) {
+                await interaction.reply({ content: 'Only the person who sent this prompt can cancel it.', ephemeral: true });
+                return;
             }
-            
-            rows.push(row);
         }
         
-        // Add navigation
-        const navRow = new ActionRowBuilder();
+        cancelQueuedPrompt(itemId);
+        await interaction.update({ content: 'Queued prompt cancelled.', components: [] });
+        return;
+    }
+    
+    // The buttons below reveal or page through chat output and sessions - they need the same access as chatting
+    const auth = await checkUserAuthorized(userId, interaction.guildId);
+    if (!(await requireCapability(interaction, auth, customId.startsWith('models_') ? 'model' : 'chat'))) return;
+    
+    // Send the full tool output as a file
+    if (customId.startsWith('tooloutput_')) {
+        const stored = storedResponses.get(`tools_${customId.replace('tooloutput_', '')}`);
+        if (!stored?.toolOutput) {
+            await interaction.reply({ content: 'This tool output has expired.', ephemeral: true });
+            return;
+        }
         
-        if (page > 0) {
-            navRow.addComponents(
-                new ButtonBuilder()
-                    .setCustomId(`models_page_${page - 1}`)
-                    .setLabel('Previous')
-                    .setStyle(ButtonStyle.Primary)
-            );
+        const attachment = new AttachmentBuilder(Buffer.from(stored.toolOutput, 'utf8'), { name: 'tool-output.md' });
+        await interaction.reply({ files: [attachment], ephemeral: true });
+        return;
+    }
+    
+    // Reveal the sections omitted from a response
+    if (customId.startsWith('expand_')) {
+        const stored = storedResponses.get(customId.replace('expand_', ''));
+        if (!stored?.parts) {
+            await interaction.reply({ content: 'This response has expired and can no longer be expanded.', ephemeral: true });
+            return;
         }
         
-        if (start + pageSize < models.length) {
-            navRow.addComponents(
-                new ButtonBuilder()
-                    .setCustomId(`models_page_${page + 1}`)
-                    .setLabel('Next')
-                    .setStyle(ButtonStyle.Primary)
-            );
+        const omitted = stored.parts.slice(0, -1);
+        await interaction.reply(`**Earlier sections (1-${omitted.length}):**\n\n${omitted[0]}`);
+        for (const part of omitted.slice(1)) {
+            await interaction.followUp(part);
+        }
+        await interaction.message.edit({ components: [] });
+        return;
+    }
+    
+    // Handle paginated response navigation
+    if (customId.startsWith('respage_')) {
+        const [key, page] = customId.replace('respage_', '').split('_');
+        const stored = storedResponses.get(key);
+        if (!stored?.pages) {
+            await interaction.reply({ content: 'This response has expired. Use `/settings` to pick another delivery mode.', ephemeral: true });
+            return;
+        }
+        
+        await interaction.update(buildResponsePage(key, stored.pages, parseInt(page, 10), stored.footer));
+        return;
+    }
+    
+    // Handle session list pagination
+    if (customId.startsWith('sessions_page_')) {
+        const [page, mineOnly] = customId.replace('sessions_page_', '').split('_').map(Number);
+        
+        try {
+            await interaction.update(await buildSessionsPage(userId, page, mineOnly === 1));
+        } catch (error) {
+            await interaction.reply({ content: `Error listing sessions: ${error.message}`, ephemeral: true });
         }
+        return;
+    }
+    
+    // Handle model picker navigation
+    if (customId.startsWith('models_page_') || customId.startsWith('models_back_')) {
+        const picker = await getModelPicker(interaction);
+        if (!picker) return;
         
-        if (navRow.components.length > 0) {
-            rows.push(navRow);
+        const models = filterModels(await getAvailableModels({ backend: picker.backend }), picker.filter, picker.allowed);
+        if (customId.startsWith('models_back_')) {
+            picker.providerId = null;
+            await interaction.update(buildProviderPicker(picker, models));
+        } else {
+            const page = parseInt(customId.split('_')[3], 10);
+            await interaction.update(buildModelPicker(picker, models, page));
         }
+    }
+}
+
+// Handle select menu interactions
+async function handleSelectMenuInteraction(interaction) {
+    const userId = interaction.user.id;
+    
+    const auth = await checkUserAuthorized(userId, interaction.guildId);
+    if (!auth.authorized) {
+        await interaction.reply({ content: auth.reason, ephemeral: true });
+        return;
+    }
+    
+    const capability = interaction.customId.startsWith('models_') ? 'model' : 'chat';
+    if (!(await requireCapability(interaction, auth, capability))) return;
+    
+    // Handle model picker steps
+    if (interaction.customId.startsWith('models_provider_')) {
+        const picker = await getModelPicker(interaction);
+        if (!picker) return;
+        
+        picker.providerId = interaction.values[0];
+        const models = filterModels(await getAvailableModels({ backend: picker.backend }), picker.filter, picker.allowed);
+        await interaction.update(buildModelPicker(picker, models, 0));
+        return;
+    }
+    
+    if (interaction.customId.startsWith('models_model_')) {
+        const picker = await getModelPicker(interaction);
+        if (!picker) return;
+        
+        const modelId = interaction.values[0];
+        const model = (await getAvailableModels({ backend: picker.backend })).find(m => m.id === modelId);
+        writeAudit('model.change', { ...getAuditContext(interaction), model: modelId, previous: getUserModel(userId) });
+        userModels.set(userId, modelId);
+        modelPickers.delete(interaction.message.id);
         
         await interaction.update({
-            content: `**Available Models** (${models.length} total, showing ${start + 1}-${Math.min(start + pageSize, models.length)})\n\nTap a model to select it.\n\nCurrent: \`${currentModel}\``,
-            components: rows
+            content: `**Model Changed**\n\n**${model?.name || modelId}**\n\`${modelId}\`\n\nYour next message will use this model.`,
+            components: []
         });
+        return;
+    }
+    
+    // Handle session switch
+    if (interaction.customId === 'session_select') {
+        const sessionId = interaction.values[0];
+        
+        // Only the session's creator or an admin may continue it
+        if (sessionOwners.get(sessionId) !== userId && !auth.isAdmin) {
+            await interaction.reply({ content: 'You can only switch to sessions you created.', ephemeral: true });
+            return;
+        }
+        writeAudit('session.switch', { ...getAuditContext(interaction), sessionId, previous: userSessions.get(userId) || null });
+        userSessions.set(userId, sessionId);
+        trackSessionBackend(sessionId, getUserBackend(userId));
         
-        // Store button map for this interaction
-        modelButtonMaps.set(interaction.id, buttonMap);
-        setTimeout(() => modelButtonMaps.delete(interaction.id), 10 * 60 * 1000);
+        await interaction.reply({
+            content: `**Session switched**\n\nSession ID: \`${sessionId}\`\n\nYour next message will continue this session.`,
+            ephemeral: true
+        });
     }
 }
 
@@ -1294,26 +4952,56 @@ client.on('messageCreate', async (message) => {
     const userId = message.author.id;
     
     // Check authorization
-    const auth = await checkUserAuthorized(userId);
+    let auth = await checkUserAuthorized(userId, message.guildId);
     
-    // Handle first user setup
+    // Handle first user setup (then carry on with their message; someone else may have just claimed it)
+    if (auth.isFirstUser && !claimFirstAdmin(auth.guildId, userId)) {
+        auth = await checkUserAuthorized(userId, message.guildId);
+    }
     if (auth.isFirstUser) {
         await message.reply(
-            `You are the first user to message this bot.\n\n` +
-            `Adding you as admin (user ID: ${userId}).\n\n` +
-            `The bot will restart now. Please message again in a few seconds.`
+            `You are the first user to message this bot, so you are now its admin (user ID: ${userId}).\n\n` +
+            `Use \`/access allow\` to let others in.`
         );
-        addUserToEnvAndExit(userId);
-        return;
     }
     
     if (!auth.authorized) {
         await message.reply(auth.reason);
         return;
     }
+    if (auth.dmGuildChanged) {
+        await message.channel.send(formatDmGuildChange(auth.guildId));
+    }
+    
+    const isSyncThreadReply = message.channel.isThread() && threadToSession.has(message.channel.id);
+    
+    // Check for voice messages
+    const voiceAttachment = message.attachments.find(att => 
+        att.contentType?.startsWith('audio/') ||
+        att.name?.endsWith('.ogg') ||
+        att.name?.endsWith('.mp3') ||
+        att.name?.endsWith('.wav') ||
+        att.name?.endsWith('.m4a')
+    );
+    
+    // Check for image attachments
+    const imageAttachments = message.attachments.filter(att =>
+        att.contentType?.startsWith('image/')
+    );
+    
+    // Check the capabilities this kind of message needs
+    const required = isSyncThreadReply ? ['sync']
+        : voiceAttachment ? ['chat', 'voice']
+        : imageAttachments.size > 0 ? ['chat', 'images']
+        : ['chat'];
+    const missing = required.find(capability => !auth.capabilities.has(capability));
+    if (missing) {
+        await message.reply(formatMissingCapability(missing));
+        return;
+    }
     
     // Check if this is a reply in a sync thread (OpenCode session sync)
-    if (message.channel.isThread() && threadToSession.has(message.channel.id)) {
+    if (isSyncThreadReply) {
         // This is a sync thread - forward to OpenCode instead of normal handling
         const content = message.content?.trim();
         if (content) {
@@ -1324,27 +5012,21 @@ client.on('messageCreate', async (message) => {
                 await message.react('✅');
             } catch (error) {
                 await message.reactions.cache.get('⏳')?.remove();
-                await message.react('❌');
-                console.error('Error handling sync thread reply:', error);
+                if (error instanceof PromptAbortedError) {
+                    await message.react('⏹️');
+                } else if (error instanceof PromptCancelledError) {
+                    await message.react('✖️');
+                } else if (error instanceof PromptLimitError) {
+                    await message.reply(error.message);
+                } else {
+                    await message.react('❌');
+                    console.error('Error handling sync thread reply:', error);
+                }
             }
         }
         return;
     }
     
-    // Check for voice messages
-    const voiceAttachment = message.attachments.find(att => 
-        att.contentType?.startsWith('audio/') ||
-        att.name?.endsWith('.ogg') ||
-        att.name?.endsWith('.mp3') ||
-        att.name?.endsWith('.wav') ||
-        att.name?.endsWith('.m4a')
-    );
-    
-    // Check for image attachments
-    const imageAttachments = message.attachments.filter(att =>
-        att.contentType?.startsWith('image/')
-    );
-    
     try {
         // Add hourglass reaction to show we're processing
         await message.react('⏳');
@@ -1353,11 +5035,9 @@ client.on('messageCreate', async (message) => {
         let sessionId = userSessions.get(userId);
         
         if (!sessionId) {
-            const { data: newSession } = await opencode.session.create({});
+            const newSession = await createUserSession(userId);
             sessionId = newSession.id;
-            userSessions.set(userId, sessionId);
-            // Mark as Discord-initiated so we don't sync back to Discord
-            discordInitiatedSessions.add(sessionId);
+            writeAudit('session.new', { ...getAuditContext(message), sessionId, auto: true });
         }
         
         // Handle voice message
@@ -1378,11 +5058,26 @@ client.on('messageCreate', async (message) => {
         }
         
     } catch (error) {
-        console.error('Error processing message:', error);
         // Remove hourglass on error
         try {
             await message.reactions.cache.get('⏳')?.users.remove(client.user.id);
         } catch (e) { /* ignore */ }
+        
+        // Aborted prompts already show their outcome in the live reply
+        if (error instanceof PromptAbortedError) {
+            await message.react('⏹️');
+            return;
+        }
+        if (error instanceof PromptCancelledError) {
+            await message.react('✖️');
+            return;
+        }
+        if (error instanceof PromptLimitError) {
+            await message.reply(error.message);
+            return;
+        }
+        
+        console.error('Error processing message:', error);
         await message.reply(`Error: ${error.message}`);
     }
 });
@@ -1403,34 +5098,38 @@ async function handleTextMessage(message, sessionId) {
     const userModel = getUserModel(userId);
     const modelObj = parseModelId(userModel);
     
+    const live = createLiveReply((content) => message.reply(content));
     const response = await sendPrompt(
         sessionId,
         [{ type: 'text', text }],
-        modelObj
+        modelObj,
+        {
+            live,
+            userId,
+            agent: getUserAgent(userId),
+            queue: createQueueNotice(message),
+            audit: { ...getAuditContext(message), source: message.guildId ? 'mention' : 'dm' }
+        }
     );
     
     console.log(`Prompt with model ${userModel}, response received`);
     
     const responseText = extractResponseText(response);
+    const reply = (content) => message.reply(content);
+    const usage = await getContextUsage(response?.info);
     
     if (responseText) {
-        // Only send the last section of the response (users don't read all details)
-        const parts = splitMessage(responseText);
-        const lastPart = parts[parts.length - 1];
-        const prefix = parts.length > 1 ? `... (${parts.length - 1} sections omitted)\n\n` : '';
-        await message.reply(prefix + lastPart);
-        
-        // Parse file changes and post to changelog
-        const filesChanged = parseFileChanges(responseText);
-        if (filesChanged.length > 0) {
-            // Create a brief summary (first 200 chars of response)
-            const summary = responseText.slice(0, 200) + (responseText.length > 200 ? '...' : '');
-            await postChangelog(userId, summary, filesChanged);
-        }
+        await deliverResponse(message, responseText, live, {
+            footer: formatContextUsage(usage)
+        });
     } else {
-        await message.reply('No response received. Please try again.');
+        await sendFinalReply(live, reply, 'No response received. Please try again.');
     }
     
+    await postToolCalls(reply, userId, response, message.id);
+    await postResponseChangelog(userId, sessionId, response, responseText);
+    await warnContextUsage(reply, sessionId, usage);
+    
     // Remove hourglass reaction after completion
     try {
         await message.reactions.cache.get('⏳')?.users.remove(client.user.id);
@@ -1471,31 +5170,36 @@ async function handleVoiceMessage(message, attachment, sessionId) {
     const userModel = getUserModel(userId);
     const modelObj = parseModelId(userModel);
     
+    const live = createLiveReply((content) => message.reply(content));
     const aiResponse = await sendPrompt(
         sessionId,
         [{ type: 'text', text: transcribedText }],
-        modelObj
+        modelObj,
+        {
+            live,
+            userId,
+            agent: getUserAgent(userId),
+            queue: createQueueNotice(message),
+            audit: { ...getAuditContext(message), source: 'voice' }
+        }
     );
     
     const responseText = extractResponseText(aiResponse);
+    const reply = (content) => message.reply(content);
+    const usage = await getContextUsage(aiResponse?.info);
     
     if (responseText) {
-        // Only send the last section of the response (users don't read all details)
-        const parts = splitMessage(responseText);
-        const lastPart = parts[parts.length - 1];
-        const prefix = parts.length > 1 ? `... (${parts.length - 1} sections omitted)\n\n` : '';
-        await message.reply(prefix + lastPart);
-        
-        // Parse file changes and post to changelog
-        const filesChanged = parseFileChanges(responseText);
-        if (filesChanged.length > 0) {
-            const summary = responseText.slice(0, 200) + (responseText.length > 200 ? '...' : '');
-            await postChangelog(userId, summary, filesChanged);
-        }
+        await deliverResponse(message, responseText, live, {
+            footer: formatContextUsage(usage)
+        });
     } else {
-        await message.reply('No response received. Please try again.');
+        await sendFinalReply(live, reply, 'No response received. Please try again.');
     }
     
+    await postToolCalls(reply, userId, aiResponse, message.id);
+    await postResponseChangelog(userId, sessionId, aiResponse, responseText);
+    await warnContextUsage(reply, sessionId, usage);
+    
     // Remove hourglass reaction after completion
     try {
         await message.reactions.cache.get('⏳')?.users.remove(client.user.id);
@@ -1510,6 +5214,15 @@ async function handleImageMessage(message, imageAttachments, sessionId) {
     console.log(`[IMAGE] Received ${imageAttachments.size} image(s) from user ${userId}`);
     console.log(`[IMAGE] Caption: "${caption}"`);
     
+    // Check the model accepts images before downloading anything
+    const userModel = getUserModel(userId);
+    const imageModel = await resolveImageModel(userModel, getSessionBackend(sessionId));
+    if (imageModel.error) {
+        await message.reply(`⚠️ ${imageModel.error}`);
+        await message.reactions.cache.get('⏳')?.users.remove(client.user.id).catch(() => {});
+        return;
+    }
+    
     // Send typing indicator
     await message.channel.sendTyping();
     
@@ -1594,36 +5307,40 @@ async function handleImageMessage(message, imageAttachments, sessionId) {
         console.log(`[IMAGE] Added file part to request`);
     }
     
-    // Send to OpenCode
-    const userModel = getUserModel(userId);
-    const modelObj = parseModelId(userModel);
-    console.log(`[IMAGE] User model: ${userModel}`);
+    // Send to OpenCode (with the vision model for this prompt only, if the user's can't see images)
+    const modelObj = parseModelId(imageModel.model);
+    console.log(`[IMAGE] User model: ${userModel}${imageModel.switched ? `, using vision model ${imageModel.model}` : ''}`);
     console.log(`[IMAGE] Session ID: ${sessionId}`);
     console.log(`[IMAGE] Sending ${parts.length} parts to OpenCode...`);
     
-    const aiResponse = await sendPrompt(sessionId, parts, modelObj);
+    const live = createLiveReply((content) => message.reply(content));
+    const aiResponse = await sendPrompt(sessionId, parts, modelObj, {
+        live,
+        userId,
+        agent: getUserAgent(userId),
+        queue: createQueueNotice(message),
+        audit: { ...getAuditContext(message), source: 'image' }
+    });
     console.log(`[IMAGE] OpenCode response received`);
     
     const responseText = extractResponseText(aiResponse);
+    const reply = (content) => message.reply(content);
+    const usage = await getContextUsage(aiResponse?.info);
+    const switchNote = imageModel.switched ? `Image sent with ${imageModel.model}` : null;
     
     if (responseText && responseText.trim()) {
-        // Only send the last section of the response (users don't read all details)
-        const msgParts = splitMessage(responseText);
-        const lastPart = msgParts[msgParts.length - 1];
-        const prefix = msgParts.length > 1 ? `... (${msgParts.length - 1} sections omitted)\n\n` : '';
-        await message.reply(prefix + lastPart);
-        
-        // Parse file changes and post to changelog
-        const filesChanged = parseFileChanges(responseText);
-        if (filesChanged.length > 0) {
-            const summary = responseText.slice(0, 200) + (responseText.length > 200 ? '...' : '');
-            await postChangelog(userId, summary, filesChanged);
-        }
+        await deliverResponse(message, responseText, live, {
+            footer: [switchNote, formatContextUsage(usage)].filter(Boolean).join(' · ')
+        });
     } else {
         console.log(`[IMAGE] Empty response from AI - model may not support vision`);
-        await message.reply('The AI model returned an empty response. This model may not support image analysis. Try using a vision-capable model with `/model`.');
+        await sendFinalReply(live, reply, 'The AI model returned an empty response. This model may not support image analysis. Try using a vision-capable model with `/model`.');
     }
     
+    await postToolCalls(reply, userId, aiResponse, message.id);
+    await postResponseChangelog(userId, sessionId, aiResponse, responseText);
+    await warnContextUsage(reply, sessionId, usage);
+    
     // Remove hourglass reaction after completion
     try {
         await message.reactions.cache.get('⏳')?.users.remove(client.user.id);
@@ -1636,24 +5353,38 @@ client.once('ready', async () => {
     console.log(`Bot is in ${client.guilds.cache.size} guild(s)`);
     
     // Log guild info
-    const guild = client.guilds.cache.get(process.env.DISCORD_GUILD_ID);
-    if (guild) {
+    for (const guildId of getConfiguredGuildIds()) {
+        const guild = client.guilds.cache.get(guildId);
+        if (!guild) {
+            console.warn(`Warning: Could not find guild with ID ${guildId}`);
+            continue;
+        }
         console.log(`Connected to guild: ${guild.name} (${guild.id})`);
         
         // Ensure changelog channel exists
-        await ensureChangelogChannel();
+        await ensureChangelogChannel(guildId);
         
         // Ensure sync channel exists for OpenCode session sync
-        await ensureSyncChannel();
+        await ensureSyncChannel(guildId);
+    }
+    
+    if (getConfiguredGuildIds().length > 0) {
+        // Start global event subscriptions (one per backend) for terminal session sync
+        startBackendSubscriptions();
         
-        // Start global event subscription for terminal session sync
-        startGlobalEventSubscription();
+        // Post daily usage summaries to the primary guild's changelog channel (if enabled)
+        startUsageSummarySchedule();
     } else {
-        console.warn(`Warning: Could not find guild with ID ${process.env.DISCORD_GUILD_ID}`);
+        console.warn('Warning: No guild configured - set DISCORD_GUILD_ID or add one to the guild config');
     }
     
     // Start git webhook server (also handles sync endpoints)
     startGitWebhookServer();
+    
+    // Re-link sync threads once everything else is running - scanning a large sync channel takes a while
+    for (const guildId of syncChannels.keys()) {
+        await rebuildSyncThreadMappings(guildId);
+    }
 });
 
 // Handle thread creation - subscribe to threads created on bot messages
@@ -1687,6 +5418,34 @@ client.on('threadCreate', async (thread) => {
     }
 });
 
+// Keep the authorization cache in step with the configured guilds
+function isConfiguredGuild(guild) {
+    return isConfiguredGuildId(guild?.id);
+}
+
+client.on('guildMemberAdd', (member) => {
+    if (isConfiguredGuild(member.guild)) cacheMember(member);
+});
+
+client.on('guildMemberUpdate', (oldMember, newMember) => {
+    if (isConfiguredGuild(newMember.guild)) cacheMember(newMember);
+});
+
+client.on('guildMemberRemove', (member) => {
+    if (!isConfiguredGuild(member.guild)) return;
+    authCache.set(accessKey(member.guild.id, member.id), { isMember: false, roles: [], fetchedAt: Date.now() });
+});
+
+// Roles are matched by name as well as ID, so a rename or delete affects everyone holding it
+for (const event of ['roleUpdate', 'roleDelete']) {
+    client.on(event, (role) => {
+        if (!isConfiguredGuild(role.guild)) return;
+        for (const [key, entry] of authCache) {
+            if (entry.roles.some(r => r.id === role.id)) authCache.delete(key);
+        }
+    });
+}
+
 // Git webhook server for changelog notifications
 const GIT_WEBHOOK_PORT = process.env.GIT_WEBHOOK_PORT || 4099;
 const CHANGELOG_CHANNEL_ID = '1474467379692961926';
@@ -1774,7 +5533,11 @@ function startGitWebhookServer() {
         // Health check
         if (req.method === 'GET' && req.url === '/health') {
             res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ status: 'ok', syncChannel: syncChannel?.id || null }));
+            res.end(JSON.stringify({
+                status: 'ok',
+                syncChannel: syncChannels.get(getPrimaryGuildId())?.id || null,
+                syncChannels: Object.fromEntries([...syncChannels].map(([guildId, channel]) => [guildId, channel.id]))
+            }));
             return;
         }
         
@@ -1805,7 +5568,7 @@ function startGitWebhookServer() {
         if (req.method === 'POST' && req.url === '/sync/session') {
             try {
                 const data = await parseBody(req);
-                const { sessionId, title, directory } = data;
+                const { sessionId, title, directory, guildId } = data;
                 
                 if (!sessionId) {
                     res.writeHead(400, { 'Content-Type': 'application/json' });
@@ -1821,8 +5584,14 @@ function startGitWebhookServer() {
                     return;
                 }
                 
-                // Create new thread
-                const thread = await createSyncThread(sessionId, title || 'OpenCode Session', directory);
+                if (guildId && !isConfiguredGuildId(guildId)) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Unknown guildId' }));
+                    return;
+                }
+                
+                // Create new thread (in the given guild, else the one syncing the session's backend)
+                const thread = await createSyncThread(sessionId, title || 'OpenCode Session', directory, guildId || undefined);
                 
                 if (thread) {
                     res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -1872,8 +5641,9 @@ function startGitWebhookServer() {
         if (req.method === 'GET' && req.url === '/sync/status') {
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({
-                syncChannelId: syncChannel?.id || null,
-                syncChannelName: syncChannel?.name || null,
+                syncChannelId: syncChannels.get(getPrimaryGuildId())?.id || null,
+                syncChannelName: syncChannels.get(getPrimaryGuildId())?.name || null,
+                syncChannels: Object.fromEntries([...syncChannels].map(([guildId, channel]) => [guildId, { id: channel.id, name: channel.name }])),
                 activeSessions: sessionToThread.size,
                 sessions: Object.fromEntries(sessionToThread)
             }));
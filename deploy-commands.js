@@ -1,6 +1,11 @@
 import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
 import { REST, Routes, SlashCommandBuilder } from 'discord.js';
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
 const commands = [
     new SlashCommandBuilder()
         .setName('start')
@@ -12,7 +17,39 @@ const commands = [
     
     new SlashCommandBuilder()
         .setName('sessions')
-        .setDescription('List your recent sessions'),
+        .setDescription('List recent sessions and switch to one')
+        .addBooleanOption(option =>
+            option.setName('mine')
+                .setDescription('Only show sessions you created')
+                .setRequired(false)
+        ),
+    
+    new SlashCommandBuilder()
+        .setName('session')
+        .setDescription('Manage a session')
+        .addSubcommand(subcommand =>
+            subcommand.setName('delete')
+                .setDescription('Delete a session')
+                .addStringOption(option =>
+                    option.setName('session_id')
+                        .setDescription('Session ID or prefix (defaults to your current session)')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('rename')
+                .setDescription('Rename a session')
+                .addStringOption(option =>
+                    option.setName('title')
+                        .setDescription('New session title')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('session_id')
+                        .setDescription('Session ID or prefix (defaults to your current session)')
+                        .setRequired(false)
+                )
+        ),
     
     new SlashCommandBuilder()
         .setName('model')
@@ -21,11 +58,310 @@ const commands = [
             option.setName('model_id')
                 .setDescription('Model ID to switch to (optional)')
                 .setRequired(false)
+                .setAutocomplete(true)
+        ),
+    
+    new SlashCommandBuilder()
+        .setName('agent')
+        .setDescription('List agents or choose the agent your prompts run with')
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Agent name to switch to, or "default" to reset (optional)')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('scope')
+                .setDescription('Who the agent applies to (default: you)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Me', value: 'me' },
+                    { name: 'This sync thread', value: 'thread' }
+                )
         ),
     
     new SlashCommandBuilder()
         .setName('models')
-        .setDescription('Browse and select available AI models'),
+        .setDescription('Browse and select available AI models')
+        .addStringOption(option =>
+            option.setName('filter')
+                .setDescription('Only show models whose name or ID contains this text')
+                .setRequired(false)
+        ),
+    
+    new SlashCommandBuilder()
+        .setName('abort')
+        .setDescription('Stop the prompt running in your current session (or this sync thread)'),
+    
+    new SlashCommandBuilder()
+        .setName('export')
+        .setDescription('Export a session transcript as a file')
+        .addStringOption(option =>
+            option.setName('format')
+                .setDescription('File format (default: Markdown)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Markdown', value: 'markdown' },
+                    { name: 'JSON', value: 'json' },
+                    { name: 'HTML', value: 'html' }
+                )
+        )
+        .addStringOption(option =>
+            option.setName('session_id')
+                .setDescription('Session ID or prefix (defaults to your current session)')
+                .setRequired(false)
+        ),
+    
+    new SlashCommandBuilder()
+        .setName('compact')
+        .setDescription('Summarize the current session to free up context'),
+    
+    new SlashCommandBuilder()
+        .setName('diff')
+        .setDescription('Show the file changes made in the current session')
+        .addStringOption(option =>
+            option.setName('file')
+                .setDescription('Only show changes to this file path')
+                .setRequired(false)
+        )
+        .addBooleanOption(option =>
+            option.setName('last_turn')
+                .setDescription('Only show changes from the last turn')
+                .setRequired(false)
+        ),
+    
+    new SlashCommandBuilder()
+        .setName('undo')
+        .setDescription('Revert the last AI turn (files and messages) in the current session'),
+    
+    new SlashCommandBuilder()
+        .setName('redo')
+        .setDescription('Restore the turn undone by /undo'),
+    
+    new SlashCommandBuilder()
+        .setName('usage')
+        .setDescription('Show token usage and cost')
+        .addStringOption(option =>
+            option.setName('period')
+                .setDescription('Time range (default: today)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Today', value: 'day' },
+                    { name: 'Last 7 days', value: 'week' },
+                    { name: 'Last 30 days', value: 'month' }
+                )
+        )
+        .addBooleanOption(option =>
+            option.setName('team')
+                .setDescription('Show everyone\'s usage (admins only)')
+                .setRequired(false)
+        ),
+    
+    new SlashCommandBuilder()
+        .setName('limits')
+        .setDescription('Show or override rate limits and budgets')
+        .addSubcommand(sub =>
+            sub.setName('show')
+                .setDescription('Show the limits that apply to you (or another user, admins only)')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to show (admins only)')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('set')
+                .setDescription('Override one limit for a user (admins only)')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to override')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('limit')
+                        .setDescription('Limit to override')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Prompts per hour', value: 'promptsPerHour' },
+                            { name: 'Daily tokens', value: 'dailyTokens' },
+                            { name: 'Daily cost (USD)', value: 'dailyCost' },
+                            { name: 'Allowed models', value: 'models' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('value')
+                        .setDescription('Number, comma-separated models, "unlimited" or "default"')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('clear')
+                .setDescription('Remove all overrides for a user (admins only)')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to reset')
+                        .setRequired(true)
+                )
+        ),
+    
+    new SlashCommandBuilder()
+        .setName('permissions')
+        .setDescription('Show the effective permissions of a member')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('Member to inspect (admins only, default: you)')
+                .setRequired(false)
+        ),
+    
+    new SlashCommandBuilder()
+        .setName('access')
+        .setDescription('Manage the bot allow-list (admins only)')
+        .addSubcommand(sub =>
+            sub.setName('allow')
+                .setDescription('Let a user use the bot')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to allow')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('revoke')
+                .setDescription('Remove a user from the allow-list')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to remove')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('list')
+                .setDescription('Show everyone on the allow-list')
+        )
+        .addSubcommand(sub =>
+            sub.setName('refresh')
+                .setDescription('Re-check cached guild roles')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Only this user (default: everyone)')
+                        .setRequired(false)
+                )
+        ),
+    
+    new SlashCommandBuilder()
+        .setName('config')
+        .setDescription('Show or change this server\'s bot settings (admins only)')
+        .addSubcommand(sub =>
+            sub.setName('show')
+                .setDescription('Show the current settings')
+        )
+        .addSubcommand(sub =>
+            sub.setName('set')
+                .setDescription('Change a setting')
+                .addStringOption(option =>
+                    option.setName('setting')
+                        .setDescription('Setting to change')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Changelog channel', value: 'changelogChannel' },
+                            { name: 'Sync channel', value: 'syncChannel' },
+                            { name: 'Default model', value: 'defaultModel' },
+                            { name: 'OpenCode backend URL', value: 'opencodeUrl' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('value')
+                        .setDescription('Channel name or ID, model ID or URL')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('reset')
+                .setDescription('Reset a setting to the default')
+                .addStringOption(option =>
+                    option.setName('setting')
+                        .setDescription('Setting to reset')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Changelog channel', value: 'changelogChannel' },
+                            { name: 'Sync channel', value: 'syncChannel' },
+                            { name: 'Default model', value: 'defaultModel' },
+                            { name: 'OpenCode backend URL', value: 'opencodeUrl' }
+                        )
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('role')
+                .setDescription('Set the capabilities a role grants')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to configure')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('capabilities')
+                        .setDescription('Comma-separated capabilities, "*" for all or "none" to remove')
+                        .setRequired(true)
+                )
+        ),
+    
+    new SlashCommandBuilder()
+        .setName('audit')
+        .setDescription('Search the audit log of prompts and admin actions (admins only)')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('Only entries by this user')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('date')
+                .setDescription('Only entries from this day (YYYY-MM-DD, UTC, or "today")')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('session')
+                .setDescription('Only entries for this session ID or prefix')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('action')
+                .setDescription('Only this kind of entry')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Prompts', value: 'prompt' },
+                    { name: 'Model changes', value: 'model' },
+                    { name: 'Agent changes', value: 'agent' },
+                    { name: 'Sessions', value: 'session' },
+                    { name: 'Access changes', value: 'access' },
+                    { name: 'Config changes', value: 'config' },
+                    { name: 'Limit changes', value: 'limits' },
+                    { name: 'Permission answers', value: 'permission' }
+                )
+        ),
+    
+    new SlashCommandBuilder()
+        .setName('settings')
+        .setDescription('Show or change your personal settings')
+        .addStringOption(option =>
+            option.setName('delivery')
+                .setDescription('How long responses are delivered')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Last section only', value: 'last' },
+                    { name: 'Full response (multiple messages)', value: 'full' },
+                    { name: 'Paginated embed', value: 'paged' },
+                    { name: 'Attached .md file', value: 'file' }
+                )
+        )
+        .addStringOption(option =>
+            option.setName('tools')
+                .setDescription('How tool calls (bash, edit, read, ...) are shown')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Off', value: 'off' },
+                    { name: 'Summary', value: 'summary' },
+                    { name: 'Full', value: 'full' }
+                )
+        ),
     
     new SlashCommandBuilder()
         .setName('help')
@@ -34,6 +370,22 @@ const commands = [
 
 const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_BOT_TOKEN);
 
+// Guilds to register commands to for instant availability: DISCORD_GUILD_ID plus
+// every guild in the guild config file
+function getGuildIds() {
+    const guildIds = new Set(process.env.DISCORD_GUILD_ID ? [process.env.DISCORD_GUILD_ID] : []);
+    const configFile = path.resolve(__dirname, process.env.GUILD_CONFIG_FILE || 'guilds.json');
+    if (fs.existsSync(configFile)) {
+        try {
+            const { guilds = {} } = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+            Object.keys(guilds).forEach(guildId => guildIds.add(guildId));
+        } catch (error) {
+            console.error(`Failed to read ${configFile}:`, error.message);
+        }
+    }
+    return [...guildIds];
+}
+
 async function deployCommands() {
     try {
         console.log(`Started refreshing ${commands.length} application (/) commands.`);
@@ -46,13 +398,13 @@ async function deployCommands() {
 
         console.log(`Successfully reloaded ${data.length} application (/) commands.`);
         
-        // Also register to specific guild for instant availability during development
-        if (process.env.DISCORD_GUILD_ID) {
+        // Also register to configured guilds for instant availability
+        for (const guildId of getGuildIds()) {
             await rest.put(
-                Routes.applicationGuildCommands(process.env.DISCORD_CLIENT_ID, process.env.DISCORD_GUILD_ID),
+                Routes.applicationGuildCommands(process.env.DISCORD_CLIENT_ID, guildId),
                 { body: commands },
             );
-            console.log(`Also registered commands to guild ${process.env.DISCORD_GUILD_ID} for instant availability.`);
+            console.log(`Also registered commands to guild ${guildId} for instant availability.`);
         }
     } catch (error) {
         console.error('Error deploying commands:', error);
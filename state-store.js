@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ============================================
+// Persistent State Store
+// ============================================
+// Maps and Sets whose contents are saved to disk (debounced) and restored on
+// start. A driver exposes load() -> object and save(object).
+const STATE_SAVE_DELAY = 1000; // Debounce writes (ms)
+
+// JSON file driver - whole state in one file, replaced atomically on save.
+// The file comes from the fileEnv variable, else data/<defaultFile>.
+function createJsonStateDriver({ fileEnv = 'STATE_FILE', defaultFile = 'state.json' } = {}) {
+    const filePath = process.env[fileEnv]
+        ? path.resolve(__dirname, process.env[fileEnv])
+        : path.join(__dirname, 'data', defaultFile);
+    
+    return {
+        name: `json (${filePath})`,
+        load() {
+            if (!fs.existsSync(filePath)) return {};
+            try {
+                return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                console.error(`Failed to read state file ${filePath}:`, error.message);
+                return {};
+            }
+        },
+        save(state) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+            fs.renameSync(tempPath, filePath);
+        }
+    };
+}
+
+// Memory driver - nothing survives a restart (useful for development)
+function createMemoryStateDriver() {
+    return {
+        name: 'memory',
+        load: () => ({}),
+        save: () => {}
+    };
+}
+
+const stateDrivers = {
+    json: createJsonStateDriver,
+    memory: createMemoryStateDriver
+};
+
+// Map/Set that report every mutation so the store can schedule a save.
+// Values must be JSON-serializable and replaced via set() rather than mutated in place.
+class PersistentMap extends Map {
+    constructor(entries, onChange) {
+        super(entries);
+        this.onChange = onChange;
+    }
+    
+    set(key, value) {
+        super.set(key, value);
+        this.onChange?.();
+        return this;
+    }
+    
+    delete(key) {
+        const deleted = super.delete(key);
+        if (deleted) this.onChange?.();
+        return deleted;
+    }
+    
+    clear() {
+        super.clear();
+        this.onChange?.();
+    }
+}
+
+class PersistentSet extends Set {
+    constructor(values, onChange) {
+        super(values);
+        this.onChange = onChange;
+    }
+    
+    add(value) {
+        const isNew = !this.has(value);
+        super.add(value);
+        if (isNew) this.onChange?.();
+        return this;
+    }
+    
+    delete(value) {
+        const deleted = super.delete(value);
+        if (deleted) this.onChange?.();
+        return deleted;
+    }
+    
+    clear() {
+        super.clear();
+        this.onChange?.();
+    }
+}
+
+export function createStateStore(driverName, driverOptions = {}) {
+    let createDriver = stateDrivers[driverName];
+    if (!createDriver) {
+        console.warn(`Unknown STATE_DRIVER "${driverName}", falling back to json`);
+        createDriver = stateDrivers.json;
+    }
+    
+    const driver = createDriver(driverOptions);
+    const initialState = driver.load();
+    // Collection name -> function returning its serializable contents
+    const collections = new Map();
+    let saveTimer = null;
+    
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        
+        const state = {};
+        for (const [name, serialize] of collections) {
+            state[name] = serialize();
+        }
+        
+        try {
+            driver.save(state);
+        } catch (error) {
+            console.error('Failed to save bot state:', error.message);
+        }
+    }
+    
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(flush, STATE_SAVE_DELAY);
+    }
+    
+    return {
+        driver: driver.name,
+        // Get a persisted Map, restored from the last saved state
+        map(name) {
+            const map = new PersistentMap(initialState[name] || [], scheduleSave);
+            collections.set(name, () => [...map]);
+            return map;
+        },
+        // Get a persisted Set, restored from the last saved state
+        set(name) {
+            const set = new PersistentSet(initialState[name] || [], scheduleSave);
+            collections.set(name, () => [...set]);
+            return set;
+        },
+        flush
+    };
+}